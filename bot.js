@@ -4,6 +4,7 @@ const { Redis } = require('@upstash/redis');
 const FormData = require('form-data');
 const { cloudinaryUploader, deleteFromCloudinary } = require('./utils/uploader.js');
 const logger = require('./utils/logger');
+const { INTERNAL_API_TOKEN } = require('./utils/telegramAuth');
 
 dotenv.config();
 
@@ -71,11 +72,26 @@ bot.use(async (ctx, next) => {
 
 bot.use(session({ store: redisSession }));
 
+// Helper function to call the REST API as the bot. The internal token marks
+// the request as trusted; the bot is responsible for passing the right user ids.
+// Pass actingTelegramId to name the user the bot acts for (required for /admin routes).
+const apiFetch = (path, options = {}) => {
+  const { actingTelegramId, ...fetchOptions } = options;
+  const headers = { ...fetchOptions.headers, 'X-Internal-Token': INTERNAL_API_TOKEN };
+  if (actingTelegramId) {
+    headers['X-Telegram-User-Id'] = actingTelegramId.toString();
+  }
+  return fetch(`${process.env.API_URL || 'http://localhost:3001'}${path}`, {
+    ...fetchOptions,
+    headers,
+  });
+};
+
 // Helper function to update last_visit
 async function updateUserVisit(userId) {
   if (!userId) return;
   try {
-    await fetch(`${process.env.API_URL || `http://localhost:3001`}/users/${userId}`, {
+    await apiFetch(`/users/${userId}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ last_visit: new Date().toISOString() })
@@ -133,6 +149,11 @@ function escapeMarkdown(text) {
   return text.replace(/[_*[\]()~`>#+\-=|{}.!]/g, '\\$&');
 }
 
+// Escapes text for parse_mode 'Markdown', where only _ * ` and [ are special
+function escapeLegacyMarkdown(text) {
+  return text.replace(/[_*`[]/g, '\\$&');
+}
+
 // Start command with welcome message and keyboard
 bot.command('start', async (ctx) => {
   const welcomeMessage = `Welcome to the Account Trading Bot! 🎉\n\n` +
@@ -143,7 +164,7 @@ bot.command('start', async (ctx) => {
   let userData = null;
 
   try {
-    const res = await fetch(`${process.env.API_URL || `http://localhost:3001`}/users/by-telegram/${telegram_user_id}`);
+    const res = await apiFetch(`/users/by-telegram/${telegram_user_id}`);
 
     if (res.ok) {
         userData = await safeJsonParse(res);
@@ -152,7 +173,7 @@ bot.command('start', async (ctx) => {
         }
     } else if (res.status === 404) {
         // User not found, create one.
-        const createRes = await fetch(`${process.env.API_URL || `http://localhost:3001`}/users`, {
+        const createRes = await apiFetch(`/users`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ telegram_user_id, username })
@@ -231,8 +252,7 @@ bot.command('balance', async (ctx) => {
   }
 
   try {
-    const apiUrl = process.env.API_URL || 'http://localhost:3001';
-    const response = await fetch(`${apiUrl}/users/${user.id}`, {
+    const response = await apiFetch(`/users/${user.id}`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json'
@@ -245,7 +265,9 @@ bot.command('balance', async (ctx) => {
       
       const withdrawButton = {
         inline_keyboard: [
-          [{ text: '💳 Withdraw Balance', callback_data: 'withdraw_balance' }]
+          [{ text: '💳 Withdraw Balance', callback_data: 'withdraw_balance' }],
+          [{ text: '📜 Transaction history', callback_data: 'transaction_history' }],
+          [{ text: '🏦 Payout methods', callback_data: 'payout_methods' }]
         ]
       };
 
@@ -259,8 +281,666 @@ bot.command('balance', async (ctx) => {
   }
 });
 
+const TRANSACTION_LABELS = {
+  opening_balance: 'Opening balance',
+  payment: 'Paid into escrow',
+  balance_payment: 'Paid from balance',
+  overpayment: 'Overpayment credited',
+  release: 'Sale proceeds',
+  refund: 'Refund',
+  payout: 'Withdrawal',
+  payout_reversal: 'Withdrawal returned',
+};
+
+// Latest money movements; payments into escrow do not change the balance,
+// every other line does
+bot.action('transaction_history', async (ctx) => {
+  await ctx.answerCbQuery();
+  const { user } = ctx.session;
+  if (!user || !user.id) {
+    return ctx.reply('You are not logged in. Please use /start to log in.');
+  }
+
+  try {
+    const response = await apiFetch(`/users/${user.id}/transactions?limit=10`);
+    if (!response.ok) {
+      return ctx.reply('Failed to fetch your transactions. Please try again later.');
+    }
+    const transactions = await safeJsonParse(response);
+    if (transactions.length === 0) {
+      return ctx.reply('You have no transactions yet.');
+    }
+
+    const lines = transactions.map(t => {
+      const date = new Date(t.created_at).toLocaleDateString();
+      const amount = t.type === 'payment' || t.amount < 0 ? `${t.amount}` : `+${t.amount}`;
+      return `${date} · ${TRANSACTION_LABELS[t.type] || t.type}: ${amount} ETB`;
+    });
+    await ctx.reply(`📜 Your latest transactions:\n\n${lines.join('\n')}`);
+  } catch (error) {
+    logger.error('Error fetching transactions', { error: error.message, stack: error.stack, userId: user.id });
+    await ctx.reply('An error occurred while fetching your transactions.');
+  }
+});
+
+const WITHDRAWAL_STATUS_LABELS = {
+  pending: '🕒 Pending',
+  processing: '⏳ Processing',
+  paid: '✅ Paid',
+  rejected: '❌ Rejected',
+  completed: '✅ Paid',
+};
+
+// The user's withdrawals with where each one stands
+bot.command('withdrawals', async (ctx) => {
+  const { user } = ctx.session;
+  if (!user || !user.id) {
+    return ctx.reply('You are not logged in. Please use /start to log in.');
+  }
+
+  try {
+    const response = await apiFetch(`/users/${user.id}/withdrawals`);
+    if (!response.ok) {
+      return ctx.reply('Failed to fetch your withdrawals. Please try again later.');
+    }
+    const withdrawals = await safeJsonParse(response);
+    if (withdrawals.length === 0) {
+      return ctx.reply('You have not made any withdrawals yet. Use /balance to withdraw.');
+    }
+
+    const lines = withdrawals.slice(0, 10).map(w => {
+      let line = `${new Date(w.created_at).toLocaleDateString()} · ${w.amount} ETB · ${WITHDRAWAL_STATUS_LABELS[w.status] || w.status}`;
+      if (w.account_number) line += `\n   to ${w.bank_name} ••${String(w.account_number).slice(-4)}`;
+      if (w.payout_reference) line += `\n   Reference: ${w.payout_reference}`;
+      if (w.rejection_reason) line += `\n   Reason: ${w.rejection_reason}`;
+      return line;
+    });
+    await ctx.reply(`💳 Your withdrawals:\n\n${lines.join('\n\n')}`);
+  } catch (error) {
+    logger.error('Error fetching withdrawals', { error: error.message, stack: error.stack, userId: user.id });
+    await ctx.reply('An error occurred while fetching your withdrawals.');
+  }
+});
+
+// Withdrawing: the user enters an amount, sees where it goes and any fee,
+// then confirms. The API enforces the minimum, daily maximum and cooldown.
+bot.action('withdraw_balance', async (ctx) => {
+  await ctx.answerCbQuery();
+  const { user } = ctx.session;
+  if (!user || !user.id) {
+    return ctx.reply('You are not logged in. Please use /start to log in.');
+  }
+
+  try {
+    const response = await apiFetch(`/users/${user.id}`);
+    if (!response.ok) {
+      return ctx.reply('Failed to fetch your balance. Please try again later.');
+    }
+    const userData = await safeJsonParse(response);
+    if (!userData.balance) {
+      return ctx.reply('Your balance is empty.');
+    }
+
+    clearPendingPayment(ctx);
+    delete ctx.session.payoutMethodDraft;
+    ctx.session.pendingWithdrawal = true;
+    await ctx.reply(
+      `💳 How much would you like to withdraw? Your balance is ${userData.balance} ETB.\n\nSend the amount, or /cancel to abort.`,
+      Markup.inlineKeyboard([[Markup.button.callback(`Withdraw all (${userData.balance} ETB)`, `withdraw_amount_${userData.balance}`)]])
+    );
+  } catch (error) {
+    logger.error('Error starting withdrawal', { error: error.message, stack: error.stack, userId: user.id });
+    await ctx.reply('An error occurred while processing your withdrawal.');
+  }
+});
+
+// Shows the confirmation screen for a withdrawal of amount to a payout
+// method (the default unless one is given), or why it is not allowed
+async function showWithdrawalQuote(ctx, amount, methodId) {
+  const query = new URLSearchParams({ amount });
+  if (methodId) query.set('payout_method_id', methodId);
+  const response = await apiFetch(`/withdrawals/quote?${query}`, { actingTelegramId: ctx.from.id });
+  const data = await safeJsonParse(response);
+  if (!response.ok) {
+    return ctx.reply(`❌ ${data?.error || 'This withdrawal is not possible right now.'}` +
+      (response.status === 400 && !methodId ? '\nYou can manage where you are paid with /payout_methods.' : ''));
+  }
+
+  delete ctx.session.pendingWithdrawal;
+  let message = `💳 *Confirm withdrawal*\n\n` +
+    `💰 *Amount:* ${data.amount} ETB\n`;
+  if (data.fee > 0) {
+    message += `🧾 *Fee:* ${data.fee} ETB\n` +
+      `💵 *You receive:* ${data.net_amount} ETB\n`;
+  }
+  message += `🏦 *Bank:* ${escapeLegacyMarkdown(data.bank_name)}\n` +
+    `🧑 *Holder:* ${escapeLegacyMarkdown(data.account_holder_name)}\n` +
+    `🔢 *Account:* ${escapeLegacyMarkdown(data.account_number)}`;
+
+  await ctx.reply(message, {
+    parse_mode: 'Markdown',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          Markup.button.callback('✅ Confirm', `withdraw_confirm_${data.amount}_${data.payout_method_id}`),
+          Markup.button.callback('❌ Cancel', 'withdraw_cancel')
+        ],
+        [Markup.button.callback('🔁 Pay to another method', `withdraw_methods_${data.amount}`)]
+      ]
+    }
+  });
+}
+
+// Lets the user send the withdrawal to one of their other payout methods
+bot.action(/withdraw_methods_(\d+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const amount = ctx.match[1];
+  try {
+    const methods = await fetchPayoutMethods(ctx);
+    if (methods.length < 2) {
+      return ctx.reply('You only have one payout method. Add another with /payout_methods.');
+    }
+    await ctx.reply('Where should the money go?', Markup.inlineKeyboard(methods.map(m => [
+      Markup.button.callback(describePayoutMethod(m), `withdraw_to_${m.id}_${amount}`)
+    ])));
+  } catch (error) {
+    logger.error('Error listing payout methods', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while loading your payout methods.');
+  }
+});
+
+bot.action(/withdraw_to_(.+)_(\d+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    await showWithdrawalQuote(ctx, ctx.match[2], ctx.match[1]);
+  } catch (error) {
+    logger.error('Error quoting withdrawal', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while processing your withdrawal.');
+  }
+});
+
+bot.action(/withdraw_amount_(\d+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    await showWithdrawalQuote(ctx, ctx.match[1]);
+  } catch (error) {
+    logger.error('Error quoting withdrawal', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while processing your withdrawal.');
+  }
+});
+
+// Collects the amount to withdraw
+bot.on('text', async (ctx, next) => {
+  if (!ctx.session?.pendingWithdrawal) return next();
+
+  const text = ctx.message.text.trim();
+  if (text === '/cancel') {
+    delete ctx.session.pendingWithdrawal;
+    return ctx.reply('Withdrawal cancelled.');
+  }
+  if (text.startsWith('/')) return next();
+
+  const amount = text.replace(/[, ]|ETB|birr/gi, '');
+  if (!/^\d+$/.test(amount)) {
+    return ctx.reply('Please send the amount as a whole number of ETB, e.g. 500, or /cancel to abort.');
+  }
+
+  try {
+    await showWithdrawalQuote(ctx, amount);
+  } catch (error) {
+    logger.error('Error quoting withdrawal', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while processing your withdrawal.');
+  }
+});
+
+bot.action('withdraw_cancel', async (ctx) => {
+  await ctx.answerCbQuery();
+  delete ctx.session.pendingWithdrawal;
+  await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  await ctx.reply('Withdrawal cancelled.');
+});
+
+bot.action(/withdraw_confirm_(\d+)_(.+)/, async (ctx) => {
+  await ctx.answerCbQuery('Processing withdrawal...');
+  const amount = Number(ctx.match[1]);
+  const payout_method_id = ctx.match[2];
+
+  try {
+    // Drop the buttons first so a double tap cannot request it twice
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    const response = await apiFetch('/withdrawals', {
+      method: 'POST',
+      actingTelegramId: ctx.from.id,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ amount, reason: 'seller_payout', payout_method_id })
+    });
+    const data = await safeJsonParse(response);
+    if (!response.ok) {
+      return ctx.reply(`❌ Failed to process withdrawal: ${data?.error || 'Unknown error'}`);
+    }
+
+    logger.info('Withdrawal created', { withdrawalId: data.id, amount: data.amount, userId: data.user_id });
+    await ctx.reply(`✅ Withdrawal of ${data.amount - data.fee_amount} ETB requested. Funds will be sent to your bank account within 24 hours.\n` +
+      `You will be notified as it progresses. Use /withdrawals to check on it.`);
+  } catch (error) {
+    logger.error('Error processing withdrawal', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while processing your withdrawal.');
+  }
+});
+
+// ---------- Payout methods ----------
+
+async function fetchPayoutMethods(ctx) {
+  const res = await apiFetch(`/users/${ctx.session.user.id}/payout-methods`, { actingTelegramId: ctx.from.id });
+  if (!res.ok) throw new Error('Failed to load payout methods');
+  return safeJsonParse(res);
+}
+
+// e.g. "CBE ••6789 (Abebe Kebede)"
+function describePayoutMethod(method) {
+  return `${method.bank_name} ••${String(method.account_number).slice(-4)} (${method.account_holder_name})`;
+}
+
+// Lists the user's payout methods with buttons to change the default, remove
+// one or add another
+async function sendPayoutMethods(ctx) {
+  const { user } = ctx.session;
+  if (!user || !user.id) {
+    return ctx.reply('You are not logged in. Please use /start to log in.');
+  }
+
+  const methods = await fetchPayoutMethods(ctx);
+  const buttons = [];
+  for (const m of methods) {
+    if (!m.is_default) {
+      buttons.push([Markup.button.callback(`⭐ Make default: ${describePayoutMethod(m)}`, `payout_default_${m.id}`)]);
+    }
+    buttons.push([Markup.button.callback(`🗑 Remove: ${describePayoutMethod(m)}`, `payout_remove_${m.id}`)]);
+  }
+  buttons.push([Markup.button.callback('➕ Add payout method', 'payout_add')]);
+
+  const lines = methods.map(m => `${m.is_default ? '⭐' : '•'} ${describePayoutMethod(m)}`);
+  await ctx.reply(
+    methods.length
+      ? `🏦 Your payout methods (⭐ is where withdrawals go by default):\n\n${lines.join('\n')}`
+      : '🏦 You have no payout methods yet. Add one to withdraw your balance.',
+    Markup.inlineKeyboard(buttons)
+  );
+}
+
+bot.command('payout_methods', async (ctx) => {
+  try {
+    await sendPayoutMethods(ctx);
+  } catch (error) {
+    logger.error('Error fetching payout methods', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while loading your payout methods.');
+  }
+});
+
+bot.action('payout_methods', async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    await sendPayoutMethods(ctx);
+  } catch (error) {
+    logger.error('Error fetching payout methods', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while loading your payout methods.');
+  }
+});
+
+bot.action(/payout_(default|remove)_(.+)/, async (ctx) => {
+  const [, action, id] = ctx.match;
+  await ctx.answerCbQuery();
+  try {
+    const res = await apiFetch(`/users/${ctx.session.user.id}/payout-methods/${id}`, action === 'default'
+      ? { method: 'PUT', actingTelegramId: ctx.from.id, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ is_default: true }) }
+      : { method: 'DELETE', actingTelegramId: ctx.from.id });
+    if (!res.ok) {
+      const err = await safeJsonParse(res);
+      return ctx.reply(`❌ ${err?.error || 'Could not update the payout method.'}`);
+    }
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    await ctx.reply(action === 'default' ? '✅ Default payout method updated.' : '🗑 Payout method removed.');
+    await sendPayoutMethods(ctx);
+  } catch (error) {
+    logger.error('Error updating payout method', { error: error.message, stack: error.stack, id });
+    await ctx.reply('An error occurred while updating the payout method.');
+  }
+});
+
+// Adding a payout method: the bank or wallet is picked from the catalogue,
+// then the name and number are asked for one message at a time
+const PAYOUT_METHOD_STEPS = [
+  { field: 'account_holder_name', prompt: () => '🧑 What is the full name on the account?' },
+  { field: 'account_number', prompt: (bank) => `🔢 What is the ${bank.type === 'wallet' ? 'phone' : 'account'} number? It should be ${bank.format_hint}.` },
+];
+
+async function fetchBanks() {
+  const res = await apiFetch('/banks');
+  if (!res.ok) throw new Error('Failed to load banks');
+  return safeJsonParse(res);
+}
+
+bot.action('payout_add', async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    const banks = await fetchBanks();
+    await ctx.reply('🏦 Which bank or wallet should you be paid to?', Markup.inlineKeyboard(
+      banks.map(bank => [Markup.button.callback(bank.name, `payout_bank_${bank.code}`)])
+    ));
+  } catch (error) {
+    logger.error('Error loading banks', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while loading the supported banks.');
+  }
+});
+
+bot.action(/payout_bank_(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    const bank = (await fetchBanks()).find(b => b.code === ctx.match[1]);
+    if (!bank) {
+      return ctx.reply('This bank is no longer supported. Please choose another.');
+    }
+    clearPendingPayment(ctx);
+    delete ctx.session.pendingWithdrawal;
+    ctx.session.payoutMethodDraft = { bank, step: 0 };
+    await ctx.reply(`${bank.name}: ${PAYOUT_METHOD_STEPS[0].prompt(bank)}\n\nSend /cancel to abort.`);
+  } catch (error) {
+    logger.error('Error choosing bank', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while loading the supported banks.');
+  }
+});
+
+bot.on('text', async (ctx, next) => {
+  const draft = ctx.session?.payoutMethodDraft;
+  if (!draft) return next();
+
+  const text = ctx.message.text.trim();
+  if (text === '/cancel') {
+    delete ctx.session.payoutMethodDraft;
+    return ctx.reply('Cancelled.');
+  }
+  if (text.startsWith('/')) return next();
+
+  draft[PAYOUT_METHOD_STEPS[draft.step].field] = text;
+  draft.step += 1;
+  if (draft.step < PAYOUT_METHOD_STEPS.length) {
+    return ctx.reply(PAYOUT_METHOD_STEPS[draft.step].prompt(draft.bank));
+  }
+
+  try {
+    const { bank, account_holder_name, account_number } = draft;
+    const res = await apiFetch(`/users/${ctx.session.user.id}/payout-methods`, {
+      method: 'POST',
+      actingTelegramId: ctx.from.id,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ bank_code: bank.code, account_holder_name, account_number })
+    });
+    const data = await safeJsonParse(res);
+    if (!res.ok) {
+      // Ask again for the first detail the API rejected
+      const fields = data?.details?.fields || {};
+      const retry = PAYOUT_METHOD_STEPS.findIndex(step => fields[step.field]);
+      if (retry === -1) {
+        delete ctx.session.payoutMethodDraft;
+        return ctx.reply(`❌ ${data?.error || 'Could not add the payout method.'}`);
+      }
+      draft.step = retry;
+      return ctx.reply(`❌ ${fields[PAYOUT_METHOD_STEPS[retry].field]}.\n\n${PAYOUT_METHOD_STEPS[retry].prompt(bank)}`);
+    }
+
+    delete ctx.session.payoutMethodDraft;
+    await ctx.reply(`✅ Added ${describePayoutMethod(data)}${data.is_default ? ' as your default payout method' : ''}.`);
+    await sendPayoutMethods(ctx);
+  } catch (error) {
+    delete ctx.session.payoutMethodDraft;
+    logger.error('Error adding payout method', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while adding the payout method.');
+  }
+});
+
+// ---------- Listing verification ----------
+
+// Shows what the seller has to do to verify a listing, with a button to check
+async function sendVerificationSteps(ctx, account) {
+  const res = await apiFetch(`/accounts/${account.id}/verification`, { actingTelegramId: ctx.from.id });
+  const verification = await safeJsonParse(res);
+  if (!res.ok) {
+    return ctx.reply(`❌ ${verification?.error || 'Could not load the verification steps.'}`);
+  }
+  if (verification.verified) {
+    return ctx.reply(`✅ "${account.name}" is already verified.`);
+  }
+  await ctx.reply(`🔐 *${escapeLegacyMarkdown(account.name)}*\n${escapeLegacyMarkdown(verification.instructions)}`, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: [[Markup.button.callback('✅ Verify now', `verify_account_${account.id}`)]] }
+  });
+}
+
+// The seller's listings that are waiting for ownership verification
+bot.command('verify', async (ctx) => {
+  const { user } = ctx.session;
+  if (!user || !user.id) {
+    return ctx.reply('You are not logged in. Please use /start to log in.');
+  }
+
+  try {
+    const res = await apiFetch(`/search/accounts?owner_id=${user.id}&limit=50`, { actingTelegramId: ctx.from.id });
+    if (!res.ok) {
+      return ctx.reply('Failed to fetch your listings. Please try again later.');
+    }
+    const { accounts } = await safeJsonParse(res);
+    const unverified = accounts.filter(a => a.status === 'unverified');
+    if (unverified.length === 0) {
+      return ctx.reply('✅ All your listings are verified.');
+    }
+    for (const account of unverified) {
+      await sendVerificationSteps(ctx, account);
+    }
+  } catch (error) {
+    logger.error('Error listing unverified accounts', { error: error.message, stack: error.stack, userId: user.id });
+    await ctx.reply('An error occurred while fetching your listings.');
+  }
+});
+
+bot.action(/verify_account_(.+)/, async (ctx) => {
+  const accountId = ctx.match[1];
+  await ctx.answerCbQuery('Checking...');
+
+  try {
+    const res = await apiFetch(`/accounts/${accountId}/verify`, { method: 'POST', actingTelegramId: ctx.from.id });
+    const data = await safeJsonParse(res);
+    if (!res.ok) {
+      return ctx.reply(`❌ ${data?.error || 'Verification failed.'}\n\nFix this and tap "Verify now" again, or use /verify to see the steps.`);
+    }
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    if (!data.verified) {
+      return ctx.reply(`📨 "${data.name}" was sent for review. A moderator will check that you own it, and you will be notified of the decision.`);
+    }
+    const next = data.status === 'under_review' ? ' and waiting for a moderator to review it. You will be notified of the decision' : '';
+    await ctx.reply(`✅ "${data.name}" is verified${next}.`);
+  } catch (error) {
+    logger.error('Error verifying account', { error: error.message, stack: error.stack, accountId });
+    await ctx.reply('An error occurred while verifying the listing.');
+  }
+});
+
+// Sends a rejected listing back for review after the seller edited it
+bot.action(/resubmit_account_(.+)/, async (ctx) => {
+  const accountId = ctx.match[1];
+  await ctx.answerCbQuery();
+
+  try {
+    const res = await apiFetch(`/accounts/${accountId}/resubmit`, { method: 'POST', actingTelegramId: ctx.from.id });
+    const data = await safeJsonParse(res);
+    if (!res.ok) {
+      return ctx.reply(`❌ ${data?.error || 'Could not resubmit the listing.'}`);
+    }
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    if (data.status === 'unverified') {
+      await ctx.reply(`Its link changed, so "${data.name}" has to be verified again before it is reviewed.`);
+      return sendVerificationSteps(ctx, data);
+    }
+    await ctx.reply(`🔁 "${data.name}" was sent for review again. You will be notified of the decision.`);
+  } catch (error) {
+    logger.error('Error resubmitting account', { error: error.message, stack: error.stack, accountId });
+    await ctx.reply('An error occurred while resubmitting the listing.');
+  }
+});
+
+// Listings whose gallery the seller can still change
+const EDITABLE_LISTING_STATUSES = ['unverified', 'under_review', 'rejected', 'available'];
+
+// The seller's listings, to pick one whose screenshots to manage
+bot.command('listing_media', async (ctx) => {
+  const { user } = ctx.session;
+  if (!user || !user.id) {
+    return ctx.reply('You are not logged in. Please use /start to log in.');
+  }
+
+  try {
+    const res = await apiFetch(`/search/accounts?owner_id=${user.id}&limit=50`, { actingTelegramId: ctx.from.id });
+    if (!res.ok) {
+      return ctx.reply('Failed to fetch your listings. Please try again later.');
+    }
+    const { accounts } = await safeJsonParse(res);
+    const editable = accounts.filter(a => EDITABLE_LISTING_STATUSES.includes(a.status));
+    if (editable.length === 0) {
+      return ctx.reply('You have no listings to add screenshots to.');
+    }
+    await ctx.reply('🖼 Buyers trust listings with analytics screenshots (YouTube Studio, TikTok analytics, Telegram stats). Pick a listing:', {
+      reply_markup: {
+        inline_keyboard: editable.map(a => [Markup.button.callback(a.name, `media_manage_${a.id}`)])
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing accounts for media', { error: error.message, stack: error.stack, userId: user.id });
+    await ctx.reply('An error occurred while fetching your listings.');
+  }
+});
+
+// Shows a listing's screenshots, each with a Remove button, and waits for new ones
+async function sendListingMedia(ctx, accountId) {
+  const res = await apiFetch(`/accounts/${accountId}`, { actingTelegramId: ctx.from.id });
+  const rows = await safeJsonParse(res);
+  if (!res.ok || !rows?.length) {
+    return ctx.reply('❌ Could not load this listing.');
+  }
+  const { accounts: account, account_media: media } = rows[0];
+  if (account.owner_id !== ctx.session.user?.id) {
+    return ctx.reply('❌ You can only manage screenshots of your own listings.');
+  }
+
+  for (const item of media) {
+    await ctx.replyWithPhoto(item.url, {
+      caption: item.caption || undefined,
+      reply_markup: { inline_keyboard: [[Markup.button.callback('🗑 Remove', `media_remove_${item.id}`)]] }
+    });
+  }
+
+  // Photos sent from now on are added to this listing until the seller is done,
+  // instead of to a dispute they were writing
+  delete ctx.session.disputeDraft;
+  ctx.session.pendingMediaAccountId = accountId;
+  await ctx.reply(`🖼 "${account.name}" has ${media.length} screenshot${media.length === 1 ? '' : 's'}.\n\nSend a photo to add it (its caption is shown with it), or tap Done.`, {
+    reply_markup: { inline_keyboard: [[Markup.button.callback('✅ Done', 'media_done')]] }
+  });
+}
+
+bot.action(/media_manage_(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    await sendListingMedia(ctx, ctx.match[1]);
+  } catch (error) {
+    logger.error('Error loading listing media', { error: error.message, stack: error.stack, accountId: ctx.match[1] });
+    await ctx.reply('An error occurred while loading the screenshots.');
+  }
+});
+
+bot.action(/media_remove_(.+)/, async (ctx) => {
+  const mediaId = ctx.match[1];
+  const accountId = ctx.session?.pendingMediaAccountId;
+  if (!accountId) {
+    return ctx.answerCbQuery('Open the listing again with /listing_media first.', { show_alert: true });
+  }
+  await ctx.answerCbQuery('Removing...');
+
+  try {
+    const res = await apiFetch(`/accounts/${accountId}/media/${mediaId}`, { method: 'DELETE', actingTelegramId: ctx.from.id });
+    if (!res.ok) {
+      const err = await safeJsonParse(res);
+      return ctx.reply(`❌ ${err?.error || 'Could not remove the screenshot.'}`);
+    }
+    await ctx.deleteMessage();
+  } catch (error) {
+    logger.error('Error removing listing media', { error: error.message, stack: error.stack, accountId, mediaId });
+    await ctx.reply('An error occurred while removing the screenshot.');
+  }
+});
+
+bot.action('media_done', async (ctx) => {
+  delete ctx.session.pendingMediaAccountId;
+  await ctx.answerCbQuery();
+  await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  await ctx.reply('✅ Screenshots saved.');
+});
+
+// Adds photos to the listing opened with /listing_media. Photos for a payment
+// receipt or a dispute go to those flows instead.
+bot.on(['text', 'photo'], async (ctx, next) => {
+  const accountId = ctx.session?.pendingMediaAccountId;
+  if (!accountId || ctx.session.pendingPaymentMethod || ctx.session.disputeDraft) return next();
+
+  const text = (ctx.message.text || '').trim();
+  if (text === '/done' || text === '/cancel') {
+    delete ctx.session.pendingMediaAccountId;
+    return ctx.reply('✅ Screenshots saved.');
+  }
+  if (!ctx.message.photo) return next();
+
+  try {
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+    const fileUrl = await ctx.telegram.getFileLink(photo.file_id);
+    const image = Buffer.from(await (await fetch(fileUrl.href)).arrayBuffer());
+
+    const caption = ctx.message.caption ? `?caption=${encodeURIComponent(ctx.message.caption)}` : '';
+    const res = await apiFetch(`/accounts/${accountId}/media${caption}`, {
+      method: 'POST',
+      actingTelegramId: ctx.from.id,
+      headers: { 'Content-Type': 'image/jpeg' },
+      body: image
+    });
+    const data = await safeJsonParse(res);
+    if (!res.ok) {
+      return ctx.reply(`❌ ${data?.error || 'Could not add the screenshot.'}`);
+    }
+    await ctx.reply('✅ Screenshot added. Send another or tap Done.', {
+      reply_markup: { inline_keyboard: [[Markup.button.callback('✅ Done', 'media_done')]] }
+    });
+  } catch (error) {
+    logger.error('Error adding listing media', { error: error.message, stack: error.stack, accountId });
+    await ctx.reply('An error occurred while adding the screenshot.');
+  }
+});
+
 const ITEMS_PER_PAGE = 5;
 
+const TRANSFER_STATUS_LABELS = {
+  initiated: 'started',
+  in_progress: 'credentials sent',
+  completed: 'handed over',
+  failed: 'failed',
+};
+
+// Handover state with the time of its latest step, e.g. "credentials sent (5/3/2025, 10:00:00 AM)"
+function formatTransfer(transfer) {
+  const at = transfer.failed_at || transfer.completed_at || transfer.in_progress_at || transfer.created_at;
+  const label = TRANSFER_STATUS_LABELS[transfer.status] || transfer.status;
+  return at ? `${label} (${new Date(at).toLocaleString()})` : label;
+}
+
+// Orders either party can still open a dispute on
+const DISPUTABLE_ORDER_STATUSES = ['pending', 'in_transfer', 'awaiting_buyer_confirmation'];
+
 async function sendOrdersPage(ctx, title = '📄 Your Orders', edit = false) {
   const { orders, orders_page = 0 } = ctx.session;
 
@@ -305,7 +985,7 @@ async function sendOrdersPage(ctx, title = '📄 Your Orders', edit = false) {
   const isSale = title.includes('Sales');
 
   for (const item of paginatedOrders) {
-    const { order, account, user, seller } = item;
+    const { order, account, user, seller, transfer } = item;
     const date = new Date(order.created_at).toLocaleDateString();
 
     let orderInfo = `🧾 *Account:* ${escapeMarkdown(account.name)}\n`;
@@ -316,17 +996,46 @@ async function sendOrdersPage(ctx, title = '📄 Your Orders', edit = false) {
       orderInfo += `👤 *Seller:* @${escapeMarkdown(sellerUsername)}\n`;
     }
     orderInfo += `💰 *Amount:* ${escapeMarkdown(order.amount.toString())} ETB\n`;
+    if (isSale) {
+      orderInfo += `💸 *Platform fee:* ${escapeLegacyMarkdown(order.fee_amount.toString())} ETB\n`;
+      orderInfo += `🏦 *You receive:* ${escapeLegacyMarkdown((order.amount - order.fee_amount).toString())} ETB\n`;
+    }
+    if (order.status === 'awaiting_topup') {
+      orderInfo += `💵 *Paid so far:* ${escapeLegacyMarkdown(order.amount_paid.toString())} ETB\n`;
+    }
     orderInfo += `💳 *Status:* ${escapeMarkdown(order.status)}\n`;
+    if (transfer) {
+      orderInfo += `🔄 *Handover:* ${escapeLegacyMarkdown(formatTransfer(transfer))}\n`;
+    }
     orderInfo += `📅 *Date:* ${escapeMarkdown(date)}`;
 
     const keyboard = [];
     if (isSale && order.status === 'pending') {
       keyboard.push([Markup.button.callback('Initiate Account Transfer', `initiate_transfer_${order.id}`)]);
     }
-    // Add Cancel Order button for purchases (not sales) with status 'pending'
-    if (!isSale && order.status === 'pending') {
+    if (isSale && transfer?.status === 'initiated') {
+      keyboard.push([Markup.button.callback('📨 Credentials sent', `transfer_progress_${order.id}`)]);
+    }
+    if (isSale && order.status === 'in_transfer') {
+      keyboard.push([Markup.button.callback('✅ Transfer Complete', `transfer_complete_${order.id}`)]);
+    }
+    if (!isSale && order.status === 'awaiting_topup') {
+      keyboard.push([Markup.button.callback('💳 Pay the rest', `topup_order_${order.id}`)]);
+    }
+    // Add Cancel Order button for purchases (not sales) that are not yet being handed over
+    if (!isSale && (order.status === 'pending' || order.status === 'awaiting_topup')) {
       keyboard.push([Markup.button.callback('❌ Cancel Order', `cancel_order_${order.id}`)]);
     }
+    // Either party can dispute an order until it is settled
+    if (DISPUTABLE_ORDER_STATUSES.includes(order.status)) {
+      keyboard.push([Markup.button.callback('⚠️ Report a problem', `open_dispute_${order.id}`)]);
+    }
+    if (!isSale && order.status === 'awaiting_buyer_confirmation') {
+      keyboard.push([Markup.button.callback('✅ Confirm receipt', `confirm_receipt_${order.id}`)]);
+    }
+    if (order.status === 'disputed') {
+      keyboard.push([Markup.button.callback('📎 Add dispute evidence', `dispute_evidence_${order.id}`)]);
+    }
     const extra = {
       parse_mode: 'Markdown',
       reply_markup: { inline_keyboard: keyboard }
@@ -382,14 +1091,14 @@ async function fetchAndShowPurchases(ctx) {
   try {
     const telegram_user_id = ctx.from.id.toString();
 
-    const userRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/users/by-telegram/${telegram_user_id}`);
+    const userRes = await apiFetch(`/users/by-telegram/${telegram_user_id}`);
     if (!userRes.ok) {
       return await ctx.reply('You are not registered. Please /start the bot first.');
     }
     const userData = await safeJsonParse(userRes);
     const userId = userData.id;
 
-    const purchasesRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/users/${userId}/purchases`);
+    const purchasesRes = await apiFetch(`/users/${userId}/purchases`);
     if (!purchasesRes.ok) {
       return await ctx.reply('❌ Failed to fetch your purchases.');
     }
@@ -411,41 +1120,563 @@ async function fetchAndShowSales(ctx) {
   try {
     const telegram_user_id = ctx.from.id.toString();
 
-    const userRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/users/by-telegram/${telegram_user_id}`);
+    const userRes = await apiFetch(`/users/by-telegram/${telegram_user_id}`);
     if (!userRes.ok) {
       return await ctx.reply('You are not registered. Please /start the bot first.');
     }
     const userData = await safeJsonParse(userRes);
     const userId = userData.id;
 
-    const salesRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/users/${userId}/sales`);
+    const salesRes = await apiFetch(`/users/${userId}/sales`);
     if (!salesRes.ok) {
       return await ctx.reply('❌ Failed to fetch your sales.');
     }
     const sales = await safeJsonParse(salesRes);
 
-    ctx.session.orders = sales.map(s => ({ ...s, type: 'sale' }));
-    ctx.session.orders_page = 0;
-    ctx.session.orders_title = '💰 Your Sales';
+    ctx.session.orders = sales.map(s => ({ ...s, type: 'sale' }));
+    ctx.session.orders_page = 0;
+    ctx.session.orders_title = '💰 Your Sales';
+
+    await sendOrdersPage(ctx, ctx.session.orders_title);
+
+  } catch (error) {
+    logger.error('Error in fetchAndShowSales', { error: error.message, stack: error.stack, userId: ctx.session.user?.id });
+    await ctx.reply('An error occurred while fetching your sales.');
+  }
+}
+
+bot.command('list_my_purchases', fetchAndShowPurchases);
+bot.action('list_my_purchases', async (ctx) => {
+  await ctx.answerCbQuery('Fetching your purchases...');
+  await fetchAndShowPurchases(ctx);
+});
+
+bot.command('list_my_sales', fetchAndShowSales);
+bot.action('list_my_sales', async (ctx) => {
+  await ctx.answerCbQuery('Fetching your sales...');
+  await fetchAndShowSales(ctx);
+});
+
+// ---------- Admin commands ----------
+
+// Calls an /admin route on behalf of the admin who triggered the update
+const adminFetch = (ctx, path, options = {}) => {
+  return apiFetch(`/admin${path}`, {
+    ...options,
+    actingTelegramId: ctx.from.id,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+};
+
+// Returns the user if they are an admin, otherwise tells them and returns null
+async function requireAdmin(ctx) {
+  try {
+    const res = await apiFetch(`/users/by-telegram/${ctx.from.id}`);
+    const userData = res.ok ? await safeJsonParse(res) : null;
+    if (userData && userData.role === 'admin') {
+      return userData;
+    }
+  } catch (error) {
+    logger.error('Error checking admin role', { error: error.message, telegram_user_id: ctx.from.id });
+  }
+  await ctx.reply('⛔ This command is only available to admins.');
+  return null;
+}
+
+// Pays out to the bank details captured with the withdrawal
+function formatWithdrawal(w) {
+  const user = w.user || {};
+  return `💳 *Withdrawal*\n` +
+    `👤 *User:* @${escapeLegacyMarkdown(user.username || 'N/A')}\n` +
+    `💰 *Amount:* ${escapeLegacyMarkdown(w.amount.toString())} ETB\n` +
+    (w.fee_amount > 0 ? `💵 *To pay out:* ${escapeLegacyMarkdown((w.amount - w.fee_amount).toString())} ETB (fee ${escapeLegacyMarkdown(w.fee_amount.toString())} ETB)\n` : '') +
+    `🏦 *Bank:* ${escapeLegacyMarkdown(w.bank_name || 'N/A')}\n` +
+    `🧑 *Holder:* ${escapeLegacyMarkdown(w.account_holder_name || 'N/A')}\n` +
+    `🔢 *Account:* ${escapeLegacyMarkdown(w.account_number || 'N/A')}\n` +
+    `📌 *Status:* ${escapeLegacyMarkdown(w.status)}\n` +
+    `📅 *Requested:* ${escapeLegacyMarkdown(new Date(w.created_at).toLocaleString())}`;
+}
+
+function withdrawalKeyboard(w) {
+  const keyboard = [];
+  if (w.status === 'pending') {
+    keyboard.push([
+      Markup.button.callback('✅ Approve', `adm_wd_processing_${w.id}`),
+      Markup.button.callback('💸 Mark paid', `adm_wd_paid_${w.id}`)
+    ]);
+  } else if (w.status === 'processing') {
+    keyboard.push([Markup.button.callback('💸 Mark paid', `adm_wd_paid_${w.id}`)]);
+  }
+  keyboard.push([Markup.button.callback('❌ Reject', `adm_wd_rejected_${w.id}`)]);
+  return keyboard;
+}
+
+bot.command('pending_withdrawals', async (ctx) => {
+  if (!await requireAdmin(ctx)) return;
+
+  try {
+    const res = await adminFetch(ctx, '/withdrawals?status=pending,processing&limit=20');
+    if (!res.ok) {
+      const err = await safeJsonParse(res);
+      return ctx.reply(`❌ Failed to fetch withdrawals: ${err?.error || 'Unknown error'}`);
+    }
+    const { items, pagination } = await safeJsonParse(res);
+    if (items.length === 0) {
+      return ctx.reply('✅ No pending withdrawals.');
+    }
+
+    await ctx.reply(`💳 Pending withdrawals (showing ${items.length} of ${pagination.totalCount})`);
+    for (const w of items) {
+      await ctx.reply(formatWithdrawal(w), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: withdrawalKeyboard(w) }
+      });
+    }
+  } catch (error) {
+    logger.error('Error fetching pending withdrawals', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while fetching withdrawals.');
+  }
+});
+
+// A listing's platform-specific attributes as Markdown lines, e.g. "• watch_hours: 4200"
+function formatAttributes(attributes = {}) {
+  return Object.entries(attributes).map(([name, value]) => {
+    const shown = typeof value === 'object'
+      ? Object.entries(value).map(([country, share]) => `${country} ${share}%`).join(', ')
+      : String(value);
+    return `• ${escapeLegacyMarkdown(name)}: ${escapeLegacyMarkdown(shown)}\n`;
+  }).join('');
+}
+
+bot.command('review_listings', async (ctx) => {
+  if (!await requireAdmin(ctx)) return;
+
+  try {
+    const res = await adminFetch(ctx, '/accounts/review?limit=20');
+    if (!res.ok) {
+      const err = await safeJsonParse(res);
+      return ctx.reply(`❌ Failed to fetch listings: ${err?.error || 'Unknown error'}`);
+    }
+    const { items, pagination } = await safeJsonParse(res);
+    if (items.length === 0) {
+      return ctx.reply('✅ No listings waiting for review.');
+    }
+
+    await ctx.reply(`🗂 Listings waiting for review (showing ${items.length} of ${pagination.totalCount})`);
+    for (const account of items) {
+      const info = `🧾 *Listing:* ${escapeLegacyMarkdown(account.name)}\n` +
+        `🏷 *Platform:* ${escapeLegacyMarkdown(account.platform)}\n` +
+        `🔗 *Link:* ${escapeLegacyMarkdown(account.url)}\n` +
+        `👥 *Subscribers:* ${escapeLegacyMarkdown(account.subscriber_count.toString())}\n` +
+        formatAttributes(account.attributes) +
+        `💰 *Price:* ${escapeLegacyMarkdown(account.price.toString())} ETB\n` +
+        `👤 *Seller:* @${escapeLegacyMarkdown(account.owner.username)}\n` +
+        `📅 *Submitted:* ${escapeLegacyMarkdown(new Date(account.submitted_at).toLocaleString())}`;
+
+      await ctx.reply(info, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[
+            Markup.button.callback('✅ Approve', `adm_lst_approve_${account.id}`),
+            Markup.button.callback('❌ Reject', `adm_lst_reject_${account.id}`)
+          ]]
+        }
+      });
+    }
+  } catch (error) {
+    logger.error('Error fetching review queue', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while fetching listings.');
+  }
+});
+
+bot.command('stuck_orders', async (ctx) => {
+  if (!await requireAdmin(ctx)) return;
+
+  try {
+    const res = await adminFetch(ctx, '/orders/stuck');
+    if (!res.ok) {
+      const err = await safeJsonParse(res);
+      return ctx.reply(`❌ Failed to fetch orders: ${err?.error || 'Unknown error'}`);
+    }
+    const { items, hours } = await safeJsonParse(res);
+    if (items.length === 0) {
+      return ctx.reply(`✅ No active orders untouched for more than ${hours} hours.`);
+    }
+
+    await ctx.reply(`⏳ Active orders untouched for more than ${hours} hours: ${items.length}`);
+    for (const { order, account, buyer, seller } of items) {
+      const orderInfo = `🧾 *Account:* ${escapeLegacyMarkdown(account.name)}\n` +
+        `👤 *Buyer:* @${escapeLegacyMarkdown(buyer.username)}\n` +
+        `👤 *Seller:* @${escapeLegacyMarkdown(seller.username)}\n` +
+        `💰 *Amount:* ${escapeLegacyMarkdown(order.amount.toString())} ETB\n` +
+        `💳 *Status:* ${escapeLegacyMarkdown(order.status)}\n` +
+        `📅 *Date:* ${escapeLegacyMarkdown(new Date(order.created_at).toLocaleString())}`;
+
+      await ctx.reply(orderInfo, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [Markup.button.callback('✅ Complete order', `adm_ord_complete_${order.id}`)],
+            [Markup.button.callback('↩️ Refund buyer', `adm_ord_refund_${order.id}`)]
+          ]
+        }
+      });
+    }
+  } catch (error) {
+    logger.error('Error fetching stuck orders', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while fetching stuck orders.');
+  }
+});
+
+// Runs an admin action and reports the outcome. Returns true on success.
+async function runAdminAction(ctx, action) {
+  const { type, id, reason } = action;
+  const requests = {
+    withdrawal: () => adminFetch(ctx, `/withdrawals/${id}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status: action.status, reason })
+    }),
+    // The admin replies with "<payout reference> <optional note>"
+    withdrawal_paid: () => {
+      const [payout_reference, ...rest] = reason.split(/\s+/);
+      return adminFetch(ctx, `/withdrawals/${id}/status`, {
+        method: 'PUT',
+        body: JSON.stringify({ status: 'paid', payout_reference, reason: rest.join(' ') || 'Marked as paid via bot' })
+      });
+    },
+    listing_approve: () => adminFetch(ctx, `/accounts/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    }),
+    listing_reject: () => adminFetch(ctx, `/accounts/${id}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    }),
+    order_complete: () => adminFetch(ctx, `/orders/${id}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status: 'completed', reason })
+    }),
+    order_refund: () => adminFetch(ctx, `/orders/${id}/refund`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    }),
+    dispute_refund: () => adminFetch(ctx, `/disputes/${id}/resolve`, {
+      method: 'POST',
+      body: JSON.stringify({ resolution: 'refund', reason })
+    }),
+    dispute_release: () => adminFetch(ctx, `/disputes/${id}/resolve`, {
+      method: 'POST',
+      body: JSON.stringify({ resolution: 'release', reason })
+    }),
+    // The admin replies with "<amount> <reason>"
+    dispute_partial: () => {
+      const [amount, ...rest] = reason.split(/\s+/);
+      return adminFetch(ctx, `/disputes/${id}/resolve`, {
+        method: 'POST',
+        body: JSON.stringify({ resolution: 'partial_refund', refund_amount: Number(amount), reason: rest.join(' ') })
+      });
+    },
+  };
+
+  const res = await requests[type]();
+  if (!res.ok) {
+    const err = await safeJsonParse(res);
+    await ctx.reply(`❌ Action failed: ${err?.error || 'Unknown error'}`);
+    return false;
+  }
+  return true;
+}
+
+// Actions that need a reason from the admin before they run
+async function askForAdminReason(ctx, action, prompt = '✍️ Please send the reason (it will be shown to the user), or /cancel to abort.') {
+  ctx.session.adminPendingAction = {
+    ...action,
+    chatId: ctx.chat.id,
+    messageId: ctx.callbackQuery?.message?.message_id
+  };
+  await ctx.answerCbQuery();
+  await ctx.reply(prompt);
+}
+
+const ADMIN_DONE_LABELS = {
+  processing: '✅ Approved',
+  paid: '💸 Marked as paid',
+  rejected: '❌ Rejected',
+  listing_approve: '✅ Listing approved',
+  listing_reject: '❌ Listing rejected',
+  order_complete: '✅ Order completed',
+  order_refund: '↩️ Buyer refunded',
+  dispute_refund: '↩️ Dispute resolved with a full refund',
+  dispute_partial: '➗ Dispute resolved with a partial refund',
+  dispute_release: '✅ Dispute resolved in the seller\'s favour',
+};
+
+bot.action(/adm_wd_(processing|paid|rejected)_(.+)/, async (ctx) => {
+  if (!await requireAdmin(ctx)) return ctx.answerCbQuery();
+  const [, status, id] = ctx.match;
+
+  if (status === 'rejected') {
+    return askForAdminReason(ctx, { type: 'withdrawal', status, id });
+  }
+  if (status === 'paid') {
+    return askForAdminReason(ctx, { type: 'withdrawal_paid', status, id },
+      '✍️ Send the reference of the bank transfer, optionally followed by a note, e.g. "FT25123ABCDE Paid via CBE", or /cancel to abort.');
+  }
+
+  try {
+    await ctx.answerCbQuery('Updating withdrawal...');
+    if (await runAdminAction(ctx, { type: 'withdrawal', status, id, reason: 'Approved via bot' })) {
+      const text = `${ctx.callbackQuery.message.text}\n\n${ADMIN_DONE_LABELS[status]} by @${ctx.from.username || ctx.from.id}`;
+      const keyboard = [[Markup.button.callback('💸 Mark paid', `adm_wd_paid_${id}`)], [Markup.button.callback('❌ Reject', `adm_wd_rejected_${id}`)]];
+      await ctx.editMessageText(text, { reply_markup: { inline_keyboard: keyboard } });
+    }
+  } catch (error) {
+    logger.error('Error updating withdrawal', { error: error.message, stack: error.stack, withdrawalId: id });
+    await ctx.reply('An error occurred while updating the withdrawal.');
+  }
+});
+
+bot.action(/adm_lst_(approve|reject)_(.+)/, async (ctx) => {
+  if (!await requireAdmin(ctx)) return ctx.answerCbQuery();
+  const [, kind, id] = ctx.match;
+  const type = `listing_${kind}`;
+
+  if (kind === 'reject') {
+    return askForAdminReason(ctx, { type, id });
+  }
+
+  try {
+    await ctx.answerCbQuery('Approving listing...');
+    if (await runAdminAction(ctx, { type, id, reason: 'Approved via bot' })) {
+      const text = `${ctx.callbackQuery.message.text}\n\n${ADMIN_DONE_LABELS[type]} by @${ctx.from.username || ctx.from.id}`;
+      await ctx.editMessageText(text, { reply_markup: { inline_keyboard: [] } });
+    }
+  } catch (error) {
+    logger.error('Error approving listing', { error: error.message, stack: error.stack, accountId: id });
+    await ctx.reply('An error occurred while approving the listing.');
+  }
+});
+
+bot.action(/adm_ord_(complete|refund)_(.+)/, async (ctx) => {
+  if (!await requireAdmin(ctx)) return ctx.answerCbQuery();
+  const [, kind, id] = ctx.match;
+  const type = `order_${kind}`;
+
+  if (kind === 'refund') {
+    return askForAdminReason(ctx, { type, id });
+  }
+
+  try {
+    await ctx.answerCbQuery('Completing order...');
+    if (await runAdminAction(ctx, { type, id, reason: 'Completed via bot' })) {
+      const text = `${ctx.callbackQuery.message.text}\n\n${ADMIN_DONE_LABELS[type]} by @${ctx.from.username || ctx.from.id}`;
+      await ctx.editMessageText(text, { reply_markup: { inline_keyboard: [] } });
+    }
+  } catch (error) {
+    logger.error('Error completing order', { error: error.message, stack: error.stack, orderId: id });
+    await ctx.reply('An error occurred while completing the order.');
+  }
+});
+
+bot.command('disputes', async (ctx) => {
+  if (!await requireAdmin(ctx)) return;
+
+  try {
+    const res = await adminFetch(ctx, '/disputes?status=open&limit=20');
+    if (!res.ok) {
+      const err = await safeJsonParse(res);
+      return ctx.reply(`❌ Failed to fetch disputes: ${err?.error || 'Unknown error'}`);
+    }
+    const { items, pagination } = await safeJsonParse(res);
+    if (items.length === 0) {
+      return ctx.reply('✅ No open disputes.');
+    }
+
+    await ctx.reply(`⚠️ Open disputes (showing ${items.length} of ${pagination.totalCount})`);
+    for (const dispute of items) {
+      const { order, account, buyer, seller } = dispute;
+      const info = `⚠️ *Dispute*\n` +
+        `🧾 *Account:* ${escapeLegacyMarkdown(account.name)}\n` +
+        `👤 *Buyer:* @${escapeLegacyMarkdown(buyer.username)}\n` +
+        `👤 *Seller:* @${escapeLegacyMarkdown(seller.username)}\n` +
+        `💰 *Amount:* ${escapeLegacyMarkdown(order.amount.toString())} ETB\n` +
+        `🙋 *Opened by:* ${escapeLegacyMarkdown(dispute.opener_role)}\n` +
+        `📝 *Reason:* ${escapeLegacyMarkdown(dispute.reason)}\n` +
+        `📅 *Opened:* ${escapeLegacyMarkdown(new Date(dispute.created_at).toLocaleString())}`;
+
+      await ctx.reply(info, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [Markup.button.callback('📎 View evidence', `adm_dsp_evidence_${dispute.id}`)],
+            [
+              Markup.button.callback('↩️ Full refund', `adm_dsp_refund_${dispute.id}`),
+              Markup.button.callback('➗ Partial refund', `adm_dsp_partial_${dispute.id}`)
+            ],
+            [Markup.button.callback('✅ Release to seller', `adm_dsp_release_${dispute.id}`)]
+          ]
+        }
+      });
+    }
+  } catch (error) {
+    logger.error('Error fetching disputes', { error: error.message, stack: error.stack });
+    await ctx.reply('An error occurred while fetching disputes.');
+  }
+});
+
+bot.action(/adm_dsp_evidence_(.+)/, async (ctx) => {
+  if (!await requireAdmin(ctx)) return ctx.answerCbQuery();
+  const id = ctx.match[1];
+
+  try {
+    await ctx.answerCbQuery();
+    const res = await adminFetch(ctx, `/disputes/${id}`);
+    if (!res.ok) {
+      const err = await safeJsonParse(res);
+      return ctx.reply(`❌ Failed to fetch evidence: ${err?.error || 'Unknown error'}`);
+    }
+    const { evidence, buyer } = await safeJsonParse(res);
+    if (evidence.length === 0) {
+      return ctx.reply('No evidence has been submitted yet.');
+    }
+    for (const item of evidence) {
+      const from = item.user_id === buyer.id ? 'Buyer' : 'Seller';
+      if (item.type === 'photo') {
+        await ctx.replyWithPhoto(item.file_id, { caption: `${from}${item.text ? `: ${item.text}` : ''}` });
+      } else {
+        await ctx.reply(`${from}: ${item.text}`);
+      }
+    }
+  } catch (error) {
+    logger.error('Error fetching dispute evidence', { error: error.message, stack: error.stack, disputeId: id });
+    await ctx.reply('An error occurred while fetching the evidence.');
+  }
+});
+
+bot.action(/adm_dsp_(refund|partial|release)_(.+)/, async (ctx) => {
+  if (!await requireAdmin(ctx)) return ctx.answerCbQuery();
+  const [, kind, id] = ctx.match;
+
+  if (kind === 'partial') {
+    return askForAdminReason(ctx, { type: 'dispute_partial', id },
+      '✍️ Send the amount to refund to the buyer followed by the reason, e.g. "200 Some subscribers were fake", or /cancel to abort.');
+  }
+  return askForAdminReason(ctx, { type: `dispute_${kind}`, id });
+});
+
+// Collects the reason for a pending admin action
+bot.on('text', async (ctx, next) => {
+  const action = ctx.session?.adminPendingAction;
+  if (!action) return next();
+
+  const text = ctx.message.text.trim();
+  delete ctx.session.adminPendingAction;
+  if (text === '/cancel') {
+    return ctx.reply('Action cancelled.');
+  }
+
+  try {
+    if (await runAdminAction(ctx, { ...action, reason: text })) {
+      const label = ADMIN_DONE_LABELS[action.status || action.type];
+      await ctx.reply(`${label}. The user has been notified.`);
+      if (action.messageId) {
+        try {
+          await ctx.telegram.editMessageReplyMarkup(action.chatId, action.messageId, undefined, { inline_keyboard: [] });
+        } catch (e) {
+          // Ignore if the message can no longer be edited
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Error running admin action', { error: error.message, stack: error.stack, action });
+    await ctx.reply('An error occurred while running the action.');
+  }
+});
+
+// ---------- Disputes ----------
+
+const DISPUTE_EVIDENCE_PROMPT = '📎 Send any messages or screenshots that support your case, then /done when you are finished.';
+
+bot.action(/open_dispute_(.+)/, async (ctx) => {
+  // Starting a dispute ends any screenshot upload, so its photos are taken as evidence
+  delete ctx.session.pendingMediaAccountId;
+  ctx.session.disputeDraft = { orderId: ctx.match[1], step: 'reason' };
+  await ctx.answerCbQuery();
+  await ctx.reply('⚠️ Please describe the problem with this order (for example wrong credentials, or ownership taken back), or /cancel to abort.');
+});
+
+bot.action(/dispute_evidence_(.+)/, async (ctx) => {
+  const orderId = ctx.match[1];
+  try {
+    const res = await apiFetch(`/orders/${orderId}/dispute`, { actingTelegramId: ctx.from.id });
+    const dispute = res.ok ? await safeJsonParse(res) : null;
+    if (!dispute || dispute.status !== 'open') {
+      return ctx.answerCbQuery('There is no open dispute on this order.', { show_alert: true });
+    }
+    delete ctx.session.pendingMediaAccountId;
+    ctx.session.disputeDraft = { orderId, disputeId: dispute.id, step: 'evidence' };
+    await ctx.answerCbQuery();
+    await ctx.reply(DISPUTE_EVIDENCE_PROMPT);
+  } catch (error) {
+    logger.error('Error fetching dispute', { error: error.message, stack: error.stack, orderId });
+    await ctx.answerCbQuery('An unexpected error occurred.', { show_alert: true });
+  }
+});
+
+// Collects the description of a new dispute, then any evidence for it
+bot.on(['text', 'photo'], async (ctx, next) => {
+  const draft = ctx.session?.disputeDraft;
+  if (!draft) return next();
+
+  const text = (ctx.message.text || '').trim();
+  if (text === '/cancel' || text === '/done') {
+    delete ctx.session.disputeDraft;
+    return ctx.reply(draft.step === 'reason'
+      ? 'Dispute cancelled.'
+      : '✅ Thank you. Support will review the dispute and both parties will be notified of the outcome.');
+  }
+  if (text.startsWith('/')) return next();
 
-    await sendOrdersPage(ctx, ctx.session.orders_title);
+  try {
+    if (draft.step === 'reason') {
+      if (!text) {
+        return ctx.reply('Please describe the problem in a text message first.');
+      }
+      const res = await apiFetch(`/orders/${draft.orderId}/disputes`, {
+        method: 'POST',
+        actingTelegramId: ctx.from.id,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: text })
+      });
+      const data = await safeJsonParse(res);
+      if (!res.ok) {
+        delete ctx.session.disputeDraft;
+        return ctx.reply(`❌ Could not open the dispute: ${data?.details || data?.error || 'Unknown error'}`);
+      }
+      ctx.session.disputeDraft = { orderId: draft.orderId, disputeId: data.id, step: 'evidence' };
+      return ctx.reply(`⚠️ Dispute opened. The payment is on hold until support reviews it.\n\n${DISPUTE_EVIDENCE_PROMPT}`);
+    }
 
+    const photos = ctx.message.photo;
+    const evidence = photos
+      ? { type: 'photo', file_id: photos[photos.length - 1].file_id, text: ctx.message.caption }
+      : { type: 'text', text };
+    const res = await apiFetch(`/disputes/${draft.disputeId}/evidence`, {
+      method: 'POST',
+      actingTelegramId: ctx.from.id,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(evidence)
+    });
+    if (!res.ok) {
+      const err = await safeJsonParse(res);
+      if (res.status === 409) delete ctx.session.disputeDraft;
+      return ctx.reply(`❌ Could not add the evidence: ${err?.details || err?.error || 'Unknown error'}`);
+    }
+    await ctx.reply('📎 Added. Send more, or /done when you are finished.');
   } catch (error) {
-    logger.error('Error in fetchAndShowSales', { error: error.message, stack: error.stack, userId: ctx.session.user?.id });
-    await ctx.reply('An error occurred while fetching your sales.');
+    logger.error('Error handling dispute message', { error: error.message, stack: error.stack, draft });
+    await ctx.reply('An error occurred while saving your dispute. Please try again.');
   }
-}
-
-bot.command('list_my_purchases', fetchAndShowPurchases);
-bot.action('list_my_purchases', async (ctx) => {
-  await ctx.answerCbQuery('Fetching your purchases...');
-  await fetchAndShowPurchases(ctx);
-});
-
-bot.command('list_my_sales', fetchAndShowSales);
-bot.action('list_my_sales', async (ctx) => {
-  await ctx.answerCbQuery('Fetching your sales...');
-  await fetchAndShowSales(ctx);
 });
 
 // Handle For Buying button
@@ -508,7 +1739,7 @@ bot.action(/mark_sold_(.+)/, async (ctx) => {
     const telegram_user_id = ctx.from.id.toString();
     
     // Get user ID from telegram user ID
-    const userRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/users/by-telegram/${telegram_user_id}`);
+    const userRes = await apiFetch(`/users/by-telegram/${telegram_user_id}`);
     if (!userRes.ok) {
       return await ctx.answerCbQuery('You are not registered. Please /start the bot first.', { show_alert: true });
     }
@@ -521,7 +1752,7 @@ bot.action(/mark_sold_(.+)/, async (ctx) => {
     const sellerId = userData.id;
     
     // Call the mark-as-sold endpoint
-    const markSoldRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/accounts/${accountId}/mark-as-sold`, {
+    const markSoldRes = await apiFetch(`/accounts/${accountId}/mark-as-sold`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ seller_id: sellerId })
@@ -550,7 +1781,7 @@ bot.action(/initiate_transfer_(.+)/, async (ctx) => {
     const orderId = ctx.match[1];
     
     // Fetch order details to get buyer info
-    const orderRes = await fetch(`${process.env.API_URL || `http://localhost:3001`}/orders/${orderId}`);
+    const orderRes = await apiFetch(`/orders/${orderId}`);
     if (!orderRes.ok) {
       const errorData = await safeJsonParse(orderRes);
       logger.error('Failed to fetch order details', { error: errorData });
@@ -562,7 +1793,26 @@ bot.action(/initiate_transfer_(.+)/, async (ctx) => {
       return ctx.answerCbQuery('Error: Could not parse order details.', { show_alert: true });
     }
 
-    const { buyer, account } = orderData;
+    const { order, buyer, account } = orderData;
+
+    // Start the handover, which moves the order into the transfer step;
+    // pressing the button again on an order already in transfer just shows
+    // the guidelines again
+    if (order.status === 'pending') {
+      const updateRes = await apiFetch('/transfers', {
+        method: 'POST',
+        actingTelegramId: ctx.from.id,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ order_id: orderId })
+      });
+      if (!updateRes.ok) {
+        const errorData = await safeJsonParse(updateRes);
+        logger.error('Failed to start transfer', { error: errorData });
+        return ctx.answerCbQuery(errorData?.error || 'Error: Could not start the transfer.', { show_alert: true });
+      }
+    } else if (order.status !== 'in_transfer') {
+      return ctx.answerCbQuery(`This order is already ${order.status}.`, { show_alert: true });
+    }
 
     const transferGuidelines = `⚠️ IMPORTANT: Account Transfer Guidelines ⚠️\n\n` +
       `You are about to transfer the account "${account.name}" to the buyer (@${buyer.username}). Please follow these steps carefully:\n\n` +
@@ -570,10 +1820,11 @@ bot.action(/initiate_transfer_(.+)/, async (ctx) => {
       `2. Securely provide the account credentials to the buyer.\n` +
       `3. Ensure the buyer confirms they have full access to the account.\n` +
       `4. Once the transfer is complete and the buyer has confirmed access, click the "Transfer Complete" button below.\n\n` +
-      `This action is final. Clicking "Transfer Complete" will mark the order as complete.`;
+      `Clicking "Transfer Complete" asks the buyer to confirm they received the account. Your balance is credited once they confirm, or automatically if they report no problem in time.`;
 
     await ctx.editMessageText(transferGuidelines, Markup.inlineKeyboard([
-      Markup.button.callback('✅ Transfer Complete', `transfer_complete_${orderId}`)
+      [Markup.button.callback('📨 Credentials sent', `transfer_progress_${orderId}`)],
+      [Markup.button.callback('✅ Transfer Complete', `transfer_complete_${orderId}`)]
     ]));
 
     await ctx.answerCbQuery();
@@ -583,27 +1834,67 @@ bot.action(/initiate_transfer_(.+)/, async (ctx) => {
   }
 });
 
+// Seller reports the credentials were handed over, so the buyer can see the
+// handover is under way
+bot.action(/transfer_progress_(.+)/, async (ctx) => {
+  const orderId = ctx.match[1];
+  try {
+    const transferRes = await apiFetch(`/orders/${orderId}/transfer`, { actingTelegramId: ctx.from.id });
+    const transfer = transferRes.ok ? await safeJsonParse(transferRes) : null;
+    if (!transfer) {
+      return ctx.answerCbQuery('The handover for this order has not started.', { show_alert: true });
+    }
+    if (transfer.status === 'in_progress') {
+      return ctx.answerCbQuery('Already marked as in progress.');
+    }
+
+    const updateRes = await apiFetch(`/transfers/${transfer.id}`, {
+      method: 'PUT',
+      actingTelegramId: ctx.from.id,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'in_progress' })
+    });
+    if (!updateRes.ok) {
+      const errorData = await safeJsonParse(updateRes);
+      return ctx.answerCbQuery(errorData?.error || 'Could not update the handover.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery('Handover marked as in progress.');
+    try {
+      await ctx.editMessageReplyMarkup({
+        inline_keyboard: [[Markup.button.callback('✅ Transfer Complete', `transfer_complete_${orderId}`)]]
+      });
+    } catch (e) {
+      // Ignore if the message can no longer be edited
+    }
+  } catch (e) {
+    logger.error('Error in transfer_progress action', { error: e.message, stack: e.stack });
+    await ctx.answerCbQuery('An unexpected error occurred.', { show_alert: true });
+  }
+});
+
 bot.action(/transfer_complete_(.+)/, async (ctx) => {
   try {
-    await ctx.answerCbQuery('Processing completion...');
+    await ctx.answerCbQuery('Processing...');
     const orderId = ctx.match[1];
 
-    // 1. Update order status to 'completed'
-    const updateRes = await fetch(`${process.env.API_URL || `http://localhost:3001`}/orders/${orderId}`, {
+    // 1. Hand the order to the buyer for confirmation
+    const updateRes = await apiFetch(`/orders/${orderId}`, {
       method: 'PUT',
+      actingTelegramId: ctx.from.id,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ status: 'completed' })
+      body: JSON.stringify({ status: 'awaiting_buyer_confirmation' })
     });
 
     if (!updateRes.ok) {
       const errorData = await safeJsonParse(updateRes);
       logger.error('Failed to update order status', { error: errorData });
-      return ctx.answerCbQuery('Error: Could not update order status.', { show_alert: true });
+      return ctx.reply(`❌ ${errorData?.error || 'Could not update order status.'}`);
     }
+    const updatedOrder = await safeJsonParse(updateRes);
 
-
-    // 2. Fetch order details to get seller ID from account owner
-    const orderRes = await fetch(`${process.env.API_URL || `http://localhost:3001`}/orders/${orderId}`);
+    // 2. Fetch order details for the notifications
+    const orderRes = await apiFetch(`/orders/${orderId}`);
     if (!orderRes.ok) {
       logger.error('Failed to fetch order details after update');
       return;
@@ -614,52 +1905,74 @@ bot.action(/transfer_complete_(.+)/, async (ctx) => {
       return;
     }
     const { buyer, account } = orderData;
+    const deadline = new Date(updatedOrder.confirmation_deadline).toLocaleString();
+
+    // 3. Tell the seller what happens next
+    await ctx.editMessageText(
+      `✅ Transfer marked as complete. The buyer has been asked to confirm they received "${account.name}".\n\n` +
+      `Your balance is credited once they confirm, or automatically on ${deadline} if no problem is reported.`
+    );
+
+    // 4. Ask the buyer to confirm or report a problem
+    const buyerMessage = `📦 The seller reports that the account "${account.name}" has been transferred to you.\n\n` +
+      `Please check that you have full access, then confirm. If something is wrong, report a problem and the payment will stay on hold while support reviews it.\n\n` +
+      `If nothing is reported by ${deadline}, the order completes automatically.`;
 
-    // 3. Credit seller's balance (account owner)
-    const sellerId = account.owner_id;
     try {
-      // Fetch seller's current balance
-      const sellerRes = await fetch(`${process.env.API_URL || `http://localhost:3001`}/users/${sellerId}`);
-      // console.log('sellerRes', sellerRes)
-      if (!sellerRes.ok) {
-        throw new Error('Failed to fetch seller data');
-      }
-      const sellerData = await safeJsonParse(sellerRes);
-      const currentBalance = sellerData.balance || 0;
-      const newBalance = currentBalance + account.price;  // Use account price instead of order amount
-      logger.info('Crediting seller balance', { sellerId, amount: account.price, currentBalance, newBalance });
-      // Update seller's balance - send only balance field
-      const updateBalanceRes = await fetch(`${process.env.API_URL || `http://localhost:3001`}/users/${sellerId}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ balance: newBalance })
-      });
+      await bot.telegram.sendMessage(buyer.telegram_user_id, buyerMessage, Markup.inlineKeyboard([
+        [Markup.button.callback('✅ Confirm receipt', `confirm_receipt_${orderId}`)],
+        [Markup.button.callback('⚠️ Report a problem', `open_dispute_${orderId}`)]
+      ]));
+    } catch (e) {
+      logger.error('Failed to send confirmation request to buyer', { buyerId: buyer.telegram_user_id, error: e.message, stack: e.stack });
+      // Inform seller that buyer notification failed
+      await ctx.reply(`Could not send a notification to the buyer (@${buyer.username}). Please ask them to confirm from their purchases list.`);
+    }
+  } catch (e) {
+    logger.error('Error in transfer_complete action', { error: e.message, stack: e.stack });
+    await ctx.reply('An unexpected error occurred.');
+  }
+});
 
-      if (!updateBalanceRes.ok) {
-        throw new Error('Failed to update seller balance');
-      }
-      logger.info('Updated seller balance', { sellerId, newBalance });
-    } catch (balanceError) {
-      logger.error('Error crediting seller balance', { error: balanceError.message, stack: balanceError.stack });
-      await ctx.reply(`⚠️ Account transfer completed but failed to credit seller's balance. Please contact support.`);
+// Buyer confirms they received the account; this completes the order and pays the seller
+bot.action(/confirm_receipt_(.+)/, async (ctx) => {
+  const orderId = ctx.match[1];
+  try {
+    await ctx.answerCbQuery('Confirming...');
+
+    const updateRes = await apiFetch(`/orders/${orderId}`, {
+      method: 'PUT',
+      actingTelegramId: ctx.from.id,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'completed' })
+    });
+    if (!updateRes.ok) {
+      const errorData = await safeJsonParse(updateRes);
+      return ctx.reply(`❌ Could not confirm the order: ${errorData?.error || 'Unknown error'}`);
     }
 
-    // 4. Notify seller
-    await ctx.editMessageText('🎉 Transfer Complete! Your balance has been credited. Thank you for your business.');
+    const orderRes = await apiFetch(`/orders/${orderId}`);
+    const orderData = orderRes.ok ? await safeJsonParse(orderRes) : null;
 
-    // 5. Notify buyer
-    const buyerMessage = `🎉 The account "${account.name}" has been successfully transferred to you! The order is now complete.`;
-    
     try {
-      await bot.telegram.sendMessage(buyer.telegram_user_id, buyerMessage);
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
     } catch (e) {
-      logger.error('Failed to send completion message to buyer', { buyerId: buyer.telegram_user_id, error: e.message, stack: e.stack });
-      // Inform seller that buyer notification failed
-      await ctx.followUp(`Could not send a notification to the buyer (@${buyer.username}). Please inform them of the completion manually.`);
+      // Ignore if the message can no longer be edited
+    }
+    await ctx.reply('🎉 Thank you for confirming! The order is now complete.');
+
+    if (orderData) {
+      const { seller, account, order } = orderData;
+      try {
+        await bot.telegram.sendMessage(seller.telegram_user_id,
+          `🎉 The buyer confirmed receiving "${account.name}". ${order.amount - order.fee_amount} ETB has been credited to your balance after the ${order.fee_amount} ETB platform fee.`);
+      } catch (e) {
+        logger.error('Failed to send completion message to seller', { sellerId: seller.telegram_user_id, error: e.message });
+      }
     }
   } catch (e) {
-    logger.error('Error in transfer_complete action', { error: e.message, stack: e.stack });
-    await ctx.answerCbQuery('An unexpected error occurred.', { show_alert: true });
+    logger.error('Error in confirm_receipt action', { error: e.message, stack: e.stack });
+    await ctx.reply('❌ An error occurred while confirming the order.');
   }
 });
 
@@ -669,18 +1982,15 @@ bot.action(/cancel_order_(.+)/, async (ctx) => {
   try {
     await ctx.answerCbQuery('Cancelling order...');
     // Call DELETE endpoint
-    const res = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/orders/${orderId}/cancel`, {
+    const res = await apiFetch(`/orders/${orderId}/cancel`, {
       method: 'POST',
+      actingTelegramId: ctx.from.id,
     });
     if (!res.ok) {
       const err = await safeJsonParse(res);
-      await ctx.reply('❌ Failed to cancel order.' + (err?.error ? ` Reason: ${err.error}` : ''));
+      await ctx.reply('❌ Failed to cancel order.' + (err?.details || err?.error ? ` Reason: ${err.details || err.error}` : ''));
     } else {
-      const reasonMessages = {
-        order_refund: 'Refund processed due to order cancellation',
-        seller_payout: 'Seller payout initiated - funds will be processed within 24 hours upto 7 days'
-      };
-      await ctx.reply(`✅ ${reasonMessages['order_refund']}`);
+      await ctx.reply('✅ Order cancelled. The payment has been refunded to your balance, see /balance.');
       // Refresh purchase list
       await fetchAndShowPurchases(ctx);
     }
@@ -709,14 +2019,14 @@ bot.on('callback_query', async (ctx, next) => {
 
     // Get current user's data
     const telegram_user_id = ctx.from.id.toString();
-    const userRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/users/by-telegram/${telegram_user_id}`);
+    const userRes = await apiFetch(`/users/by-telegram/${telegram_user_id}`);
     if (!userRes.ok) {
       return await ctx.reply('Could not identify you. Please /start the bot.');
     }
     const userData = await safeJsonParse(userRes);
 
     // Attempt to reserve the account
-    const reserveRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/accounts/${accountId}/reserve`, {
+    const reserveRes = await apiFetch(`/accounts/${accountId}/reserve`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ buyer_id: userData.id })
@@ -730,7 +2040,7 @@ bot.on('callback_query', async (ctx, next) => {
       });
     }
 
-    const { account } = await safeJsonParse(reserveRes);
+    const { account, reservation } = await safeJsonParse(reserveRes);
 
     // Check if the buyer is the owner
     if (userData && userData.id === account.owner_id) {
@@ -739,8 +2049,8 @@ bot.on('callback_query', async (ctx, next) => {
     }
 
     // Check if user already has an active order for this account
-    const checkOrderRes = await fetch(
-      `${process.env.API_URL || 'http://localhost:3001'}/orders/check?` + 
+    const checkOrderRes = await apiFetch(
+      `/orders/check?` + 
       new URLSearchParams({
         buyer_id: userData.id,
         account_id: accountId
@@ -764,27 +2074,43 @@ bot.on('callback_query', async (ctx, next) => {
     ctx.session.pendingAccountId = accountId;
     ctx.session.pendingAccountPrice = account.price;
 
-    // Always show static escrow Telebirr account details
+    // Escrow accounts come from the API so they can be rotated without a deploy
+    const providers = await fetchPaymentProviders();
+    if (providers.length === 0) {
+      return await ctx.reply('Payments are unavailable right now. Please try again later.');
+    }
+
+    const options = providers.flatMap(provider =>
+      provider.escrow_accounts.map(escrow =>
+        `*Bank Name:* ${provider.label}\n` +
+        `*Account Name:* ${escrow.holder_name}\n` +
+        `*Account Number:* ${escrow.account_number}`
+      )
+    );
     const bankDetails =
       `Please make the payment of *${account.price.toLocaleString()} ETB* to one of the following escrow accounts:\n\n` +
-      `*Option 1*\n` +
-      `*Bank Name:* Telebirr\n` +
-      `*Account Number:* 0907608839\n` +
-      `*Account Name:* Kaleb Mate\n\n` +
-      `*Option 2*\n` +
-      `*Bank Name:* Commercial Bank of Ethiopia\n` +
-      `*Account Name:* KALEB MATE MEGANE\n` +
-      `*Account Number:* 1000308680658\n\n` +
-      `After payment, please send the transaction receipt number to proceed with the order.`;
+      options.map((option, i) => `*Option ${i + 1}*\n${option}`).join('\n\n') +
+      `\n\nAfter payment, choose how you paid and send your receipt to proceed with the order.` +
+      reservationNotice(reservation);
 
     await ctx.reply(bankDetails, { parse_mode: 'Markdown' });
 
+    const buttons = providers.map(provider => [
+      Markup.button.callback(`Pay with ${provider.label}`, `pay_method_${provider.name}_${accountId}`)
+    ]);
+    let balanceNote = '';
+    if (userData.balance > 0) {
+      buttons.push([Markup.button.callback(`💰 Pay with balance (${userData.balance} ETB)`, `pay_balance_${accountId}`)]);
+      if (userData.balance < account.price) {
+        balanceNote = `\n\nYour balance of ${userData.balance} ETB covers part of the price; you can pay the remaining ${account.price - userData.balance} ETB with a receipt.`;
+      }
+    }
+
     await ctx.reply(
-      "Please choose your payment method:",
-      Markup.inlineKeyboard([
-        [Markup.button.callback('Pay with Telebirr', `pay_method_telebirr_${accountId}`)],
-        [Markup.button.callback('Pay with CBE', `pay_method_cbe_${accountId}`)]
-      ])
+      "Please choose your payment method:\n\n" +
+      providers.map(provider => `• ${provider.label}: ${describePaymentInputs(provider.inputs)}`).join('\n') +
+      balanceNote,
+      Markup.inlineKeyboard(buttons)
     );
 
     return;
@@ -796,266 +2122,264 @@ bot.on('callback_query', async (ctx, next) => {
   }
 });
 
-// Telebirr: ask for receipt number
-bot.action(/pay_method_telebirr_(.+)/, async (ctx) => {
-  const accountId = ctx.match[1];
-  ctx.session.pendingAccountId = accountId;
-  ctx.session.pendingPaymentMethod = 'telebirr';
-  
-  // Fetch account details to get the price
+// Minutes left on a buyer's hold, as a line to append to payment prompts
+function reservationNotice(reservation) {
+  if (!reservation || reservation.seconds_left == null) return '';
+  const minutes = Math.max(1, Math.ceil(reservation.seconds_left / 60));
+  return `\n\n⏳ This account is reserved for you for the next *${minutes} minute${minutes === 1 ? '' : 's'}*. ` +
+    `If no payment is submitted by then, it goes back on sale.`;
+}
+
+async function fetchReservation(ctx, accountId) {
   try {
-    const accountRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/accounts/${accountId}`);
-    if (accountRes.ok) {
-      const accountData = await safeJsonParse(accountRes);
-      if (accountData && accountData[0] && accountData[0].accounts) {
-        ctx.session.pendingAccountPrice = accountData[0].accounts.price;
-      }
+    const res = await apiFetch(`/accounts/${accountId}/reservation`, { actingTelegramId: ctx.from.id });
+    return res.ok ? await safeJsonParse(res) : null;
+  } catch (error) {
+    logger.error('Error fetching reservation', { error: error.message, stack: error.stack });
+    return null;
+  }
+}
+
+async function fetchPaymentProviders() {
+  const res = await apiFetch('/payments/providers');
+  if (!res.ok) throw new Error('Failed to load payment methods');
+  return safeJsonParse(res);
+}
+
+// What a buyer can send as proof for each kind of provider input
+const PAYMENT_INPUT_LABELS = {
+  reference: 'receipt number or payment SMS',
+  image: 'receipt screenshot',
+};
+
+function describePaymentInputs(inputs) {
+  return inputs.map(input => PAYMENT_INPUT_LABELS[input]).join(' or ');
+}
+
+function clearPendingPayment(ctx) {
+  delete ctx.session.pendingAccountId;
+  delete ctx.session.pendingTopupOrderId;
+  delete ctx.session.pendingPaymentMethod;
+  delete ctx.session.pendingPaymentInputs;
+  delete ctx.session.pendingAccountPrice;
+}
+
+// Any provider: remember the choice and ask for its proof of payment
+bot.action(/pay_method_([a-z0-9]+)_(.+)/, async (ctx) => {
+  const providerName = ctx.match[1];
+  const accountId = ctx.match[2];
+
+  try {
+    const providers = await fetchPaymentProviders();
+    const provider = providers.find(p => p.name === providerName);
+    if (!provider) {
+      return ctx.answerCbQuery('This payment method is no longer available.', { show_alert: true });
     }
+
+    delete ctx.session.pendingTopupOrderId;
+    delete ctx.session.pendingWithdrawal;
+    ctx.session.pendingAccountId = accountId;
+    ctx.session.pendingPaymentMethod = provider.name;
+    ctx.session.pendingPaymentInputs = provider.inputs;
+
+    const reservation = await fetchReservation(ctx, accountId);
+    await ctx.reply(provider.prompt + reservationNotice(reservation), { parse_mode: 'Markdown' });
+    await ctx.answerCbQuery();
   } catch (error) {
-    logger.error('Error fetching account price', { error: error.message, stack: error.stack });
+    logger.error('Error choosing payment method', { error: error.message, stack: error.stack });
+    await ctx.answerCbQuery('An unexpected error occurred.', { show_alert: true });
   }
-  
-  await ctx.reply('Please enter your Telebirr receipt number:');
-  await ctx.answerCbQuery();
 });
 
-// CBE: ask for image
-bot.action(/pay_method_cbe_(.+)/, async (ctx) => {
+// Pays for the reserved account from the buyer's balance. If it falls short
+// the order waits for a receipt covering the rest, as for a short payment.
+bot.action(/pay_balance_(.+)/, async (ctx) => {
   const accountId = ctx.match[1];
-  ctx.session.pendingAccountId = accountId;
-  ctx.session.pendingPaymentMethod = 'cbe';
-  
-  // Fetch account details to get the price
+  await ctx.answerCbQuery('Paying from your balance...');
+
   try {
-    const accountRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/accounts/${accountId}`);
-    if (accountRes.ok) {
-      const accountData = await safeJsonParse(accountRes);
-      if (accountData && accountData[0] && accountData[0].accounts) {
-        ctx.session.pendingAccountPrice = accountData[0].accounts.price;
-      }
+    const orderResponse = await apiFetch('/orders', {
+      method: 'POST',
+      actingTelegramId: ctx.from.id,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ account_id: accountId, use_balance: true })
+    });
+    const data = await safeJsonParse(orderResponse);
+    if (!orderResponse.ok) {
+      return ctx.reply(`❌ ${data?.details || data?.error || 'Failed to create order'}`);
     }
+
+    clearPendingPayment(ctx);
+    await replyPaymentResult(ctx, data, false);
   } catch (error) {
-    logger.error('Error fetching account price', { error: error.message, stack: error.stack });
+    logger.error('Error paying from balance', { error: error.message, stack: error.stack, accountId });
+    await ctx.reply('An error occurred while paying from your balance.');
   }
-  
-  await ctx.reply('Please upload a screenshot of your CBE payment receipt (as an image):');
-  await ctx.answerCbQuery();
 });
 
-// Handle receipt number submission
-bot.on('text', async (ctx) => {
-  if (!ctx.session?.pendingAccountId || !ctx.message.text) return;
+// Sends the buyer's proof of payment to the API, which verifies it with the
+// chosen provider and creates the order, or tops up the order waiting for it
+async function submitPayment(ctx, { reference, image_url }) {
+  const topupOrderId = ctx.session.pendingTopupOrderId;
+  const orderResponse = await apiFetch(topupOrderId ? `/orders/${topupOrderId}/topup` : `/orders`, {
+    method: 'POST',
+    actingTelegramId: ctx.from.id,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      account_id: ctx.session.pendingAccountId,
+      provider: ctx.session.pendingPaymentMethod,
+      reference,
+      image_url,
+    })
+  });
 
-  const paymentMethod = ctx.session.pendingPaymentMethod;
-  const accountId = ctx.session.pendingAccountId;
-  const accountPrice = ctx.session.pendingAccountPrice;
-  const receiptNo = ctx.message.text.trim();
+  const data = await safeJsonParse(orderResponse);
+  if (!orderResponse.ok) {
+    const error = new Error(data?.details || data?.error || 'Failed to create order');
+    error.status = orderResponse.status;
+    throw error;
+  }
+  return data;
+}
 
-  if (paymentMethod === 'telebirr') {
-    try {
-      await ctx.reply('🔍 Verifying your payment, please wait...');
+// A 409 is a receipt that was already used or an account that is no longer
+// held for the buyer; the message says which
+function paymentErrorMessage(error) {
+  if (error.status === 409) return `❌ ${error.message}`;
+  return `❌ Payment verification failed: ${error.message}`;
+}
 
-      // 1. Verify payment with the external API
-      const verificationResponse = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/orders/verify-payment`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ reference: receiptNo, amount: accountPrice })
-      });
+// Tells the buyer how a verified payment was applied: the order is paid, or
+// still short and waiting for a top-up; any excess went to their balance
+async function replyPaymentResult(ctx, order, toppedUp) {
+  let message;
+  if (order.status === 'awaiting_topup') {
+    const remaining = order.amount - order.amount_paid;
+    const deadline = new Date(order.topup_deadline).toLocaleString();
+    message = `⚠️ ${order.amount_paid} of the ${order.amount} ETB price has been paid so far.\n` +
+      `Please pay the remaining *${remaining} ETB* and send that receipt by ${deadline}, or the order is cancelled and what you paid is refunded to your balance.`;
+  } else if (toppedUp) {
+    message = `✅ Top-up verified. Your order is now paid in full.\nOrder ID: ${order.id}`;
+  } else {
+    message = `✅ Payment received and order created successfully!\nOrder ID: ${order.id}`;
+  }
+  if (order.credited > 0) {
+    message += `\n\n💰 You paid ${order.credited} ETB more than needed. It has been credited to your balance, see /balance.`;
+  }
 
-      if (!verificationResponse.ok) {
-        const errorData = await safeJsonParse(verificationResponse);
-        return ctx.reply(`❌ Payment verification failed: ${errorData.error || 'Unknown error'}`);
-      }
+  if (order.status !== 'awaiting_topup') {
+    return ctx.reply(message, { parse_mode: 'Markdown' });
+  }
+  await ctx.reply(message, { parse_mode: 'Markdown' });
+  await sendTopupMethods(ctx, order.id);
+}
 
-      // 2. Get user data
-      const telegram_user_id = ctx.from.id.toString();
-      const username = ctx.from.username || '';
-      const userRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/users/by-telegram/${telegram_user_id}`);
-      if (!userRes.ok) throw new Error('Failed to get user data');
-      const userData = await safeJsonParse(userRes);
-      if (!userData?.id) throw new Error('User data not available');
+async function sendTopupMethods(ctx, orderId) {
+  const providers = await fetchPaymentProviders();
+  await ctx.reply(
+    "Choose how you paid the rest:\n\n" +
+    providers.map(provider => `• ${provider.label}: ${describePaymentInputs(provider.inputs)}`).join('\n'),
+    Markup.inlineKeyboard(providers.map(provider => [
+      Markup.button.callback(`Top up with ${provider.label}`, `topup_method_${provider.name}_${orderId}`)
+    ]))
+  );
+}
 
-      // 3. Create the order
-      const orderResponse = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/orders`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          buyer_id: userData.id,
-          account_id: accountId,
-          amount: accountPrice,
-          receipt_no: receiptNo
-        })
-      });
+// Top-up of an order whose payment fell short: from the order list or the
+// reply to the short payment
+bot.action(/topup_order_(.+)/, async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    await sendTopupMethods(ctx, ctx.match[1]);
+  } catch (error) {
+    logger.error('Error showing top-up methods', { error: error.message, stack: error.stack });
+    await ctx.reply('❌ Could not load payment methods. Please try again later.');
+  }
+});
 
-      if (!orderResponse.ok) {
-        const errorData = await safeJsonParse(orderResponse);
-        throw new Error(errorData.error || 'Failed to create order');
-      }
+bot.action(/topup_method_([a-z0-9]+)_(.+)/, async (ctx) => {
+  const providerName = ctx.match[1];
+  const orderId = ctx.match[2];
 
-      const order = await safeJsonParse(orderResponse);
+  try {
+    const providers = await fetchPaymentProviders();
+    const provider = providers.find(p => p.name === providerName);
+    if (!provider) {
+      return ctx.answerCbQuery('This payment method is no longer available.', { show_alert: true });
+    }
 
-      // 4. Clean up session and notify user
-      delete ctx.session.pendingAccountId;
-      delete ctx.session.pendingAccountPrice;
+    delete ctx.session.pendingAccountId;
+    delete ctx.session.pendingWithdrawal;
+    ctx.session.pendingTopupOrderId = orderId;
+    ctx.session.pendingPaymentMethod = provider.name;
+    ctx.session.pendingPaymentInputs = provider.inputs;
 
-      await ctx.reply(`✅ Payment verified and order created successfully!\nOrder ID: ${order.id}`);
+    await ctx.reply(provider.prompt);
+    await ctx.answerCbQuery();
+  } catch (error) {
+    logger.error('Error choosing top-up method', { error: error.message, stack: error.stack });
+    await ctx.answerCbQuery('An unexpected error occurred.', { show_alert: true });
+  }
+});
 
-    } catch (error) {
-      logger.error('Error processing receipt', { error: error.message, stack: error.stack });
-      await ctx.reply(`❌ An error occurred: ${error.message}`);
-      // Clear session on error
-      delete ctx.session.pendingAccountId;
-      delete ctx.session.pendingAccountPrice;
-    }
+// Handle a typed receipt number or forwarded payment SMS
+bot.on('text', async (ctx) => {
+  if (!ctx.session?.pendingPaymentMethod || !ctx.message.text) return;
+  const inputs = ctx.session.pendingPaymentInputs || [];
+  if (!inputs.includes('reference')) {
+    return ctx.reply(`Please send your ${describePaymentInputs(inputs)} for this payment method.`);
+  }
+
+  try {
+    await ctx.reply('🔍 Verifying your payment, please wait...');
+    const toppedUp = Boolean(ctx.session.pendingTopupOrderId);
+    const order = await submitPayment(ctx, { reference: ctx.message.text.trim() });
+    await replyPaymentResult(ctx, order, toppedUp);
+  } catch (error) {
+    logger.error('Error processing receipt', { error: error.message, stack: error.stack });
+    await ctx.reply(paymentErrorMessage(error));
+  } finally {
+    clearPendingPayment(ctx);
   }
 });
 
-// New handler for CBE payment screenshot
+// Handle receipt screenshot submission
 bot.on('photo', async (ctx) => {
-  if (!ctx.session?.pendingAccountId || ctx.session.pendingPaymentMethod !== 'cbe') return;
+  if (!ctx.session?.pendingPaymentMethod) return;
+  const inputs = ctx.session.pendingPaymentInputs || [];
+  if (!inputs.includes('image')) {
+    return ctx.reply(`Please send your ${describePaymentInputs(inputs)} for this payment method.`);
+  }
 
-  const accountId = ctx.session.pendingAccountId;
-  const accountPrice = ctx.session.pendingAccountPrice;
-  logger.debug("Account price retrieved", { accountPrice })
-  await ctx.reply('🔍 Verifying your CBE payment, please wait...');
+  await ctx.reply('🔍 Verifying your payment, please wait...');
 
+  let cloudinaryUrl;
   try {
     // Get the highest resolution photo
     const photo = ctx.message.photo[ctx.message.photo.length - 1];
-    const fileId = photo.file_id;
-    const fileUrl = await ctx.telegram.getFileLink(fileId);
+    const fileUrl = await ctx.telegram.getFileLink(photo.file_id);
 
-    // Upload image to Cloudinary
+    // The verifier reads the receipt from a public URL
     const response = await fetch(fileUrl.href);
     const buffer = await response.arrayBuffer();
-    const cloudinaryUrl = await cloudinaryUploader(Buffer.from(buffer));
-
-    // Verify payment using new API
-    logger.debug("CBE verification URL", { url: `${process.env.CBE_VERIFIER_URL}/parse?image_url=${cloudinaryUrl}` })
-    const verifyRes = await fetch(`${process.env.CBE_VERIFIER_URL}/parse?image_url=${cloudinaryUrl}`);
-    // const verifyRes = await fetch(`${process.env.CBE_VERIFIER_URL}/parse?image_url=${encodeURIComponent(cloudinaryUrl)}`);
-    if (!verifyRes.ok) {
-      logger.error('Failed to verify payment', { status: verifyRes.status, statusText: verifyRes.statusText });
-      // Delete the uploaded image even on verification failure
-      try {
-        await deleteFromCloudinary(cloudinaryUrl);
-        logger.debug('Deleted failed verification image from Cloudinary', { cloudinaryUrl });
-      } catch (deleteError) {
-        logger.error('Failed to delete image from Cloudinary', { error: deleteError.message, stack: deleteError.stack });
-      }
-      throw new Error('Failed to verify payment');
-    }
-
-    const verificationData = await verifyRes.json();
-    logger.debug("CBE verification data received", { verificationData })
-    if (!verificationData.success) {
-      // Delete the uploaded image even on verification failure
-      try {
-        await deleteFromCloudinary(cloudinaryUrl);
-        logger.debug('Deleted failed verification image from Cloudinary', { cloudinaryUrl });
-      } catch (deleteError) {
-        logger.error('Failed to delete image from Cloudinary', { error: deleteError.message, stack: deleteError.stack });
-      }
-      
-      if (verificationData.message === "transaction already exist") {
-        return ctx.reply('❌ This transaction receipt has already been used. Please use a new receipt.');
-      }
-      return ctx.reply('❌ Payment verification failed. Please check your receipt and try again.');
-    }
-
-    // Get user data
-    const telegram_user_id = ctx.from.id.toString();
-    const userRes = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/users/by-telegram/${telegram_user_id}`);
-    if (!userRes.ok) throw new Error('Failed to get user data');
-    const userData = await safeJsonParse(userRes);
-    if (!userData?.id) throw new Error('User data not available');
-
-    // Validate receiver name
-    const validReceivers = ['Kaleb Mate', 'KALEB MATE MEGANE'];
-    const normalizedReceiver = verificationData.data.receiver.trim().toUpperCase();
-    const isValidReceiver = validReceivers.some(name => 
-      name.toUpperCase() === normalizedReceiver
-    );
-    
-    if (!isValidReceiver) {
-      throw new Error(`The receiver name '${verificationData.data.receiver}' does not match any escrow account`);
-    }
+    cloudinaryUrl = await cloudinaryUploader(Buffer.from(buffer));
 
-    // Validate amount matches account price
-    const amount = parseInt(verificationData.data.amount);
-    if (amount !== accountPrice) {
+    const toppedUp = Boolean(ctx.session.pendingTopupOrderId);
+    const order = await submitPayment(ctx, { image_url: cloudinaryUrl });
+    await replyPaymentResult(ctx, order, toppedUp);
+  } catch (error) {
+    logger.error('Error verifying payment screenshot', { error: error.message, stack: error.stack });
+    await ctx.reply(paymentErrorMessage(error));
+  } finally {
+    clearPendingPayment(ctx);
+    if (cloudinaryUrl) {
       try {
         await deleteFromCloudinary(cloudinaryUrl);
-        logger.debug('Deleted image from Cloudinary', { cloudinaryUrl });
+        logger.debug('Deleted receipt image from Cloudinary', { cloudinaryUrl });
       } catch (deleteError) {
         logger.error('Failed to delete image from Cloudinary', { error: deleteError.message, stack: deleteError.stack });
       }
-      throw new Error(`Amount ${amount} ETB does not match required price ${accountPrice} ETB`);
-    }
-
-    // Create the order
-    const orderResponse = await fetch(`${process.env.API_URL || 'http://localhost:3001'}/orders`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        buyer_id: userData.id,
-        account_id: accountId,
-        amount: amount,
-        receipt_no: verificationData.data.transaction,
-      })
-    });
-
-    if (!orderResponse.ok) {
-      const errorData = await safeJsonParse(orderResponse);
-      throw new Error(errorData.error || 'Failed to create order');
-    }
-
-    const order = await safeJsonParse(orderResponse);
-
-    // Save transaction record after successful order creation
-    logger.debug("Transaction verification data", { verificationData })
-    try {
-      const saveTransactionResponse = await fetch(`${process.env.CBE_VERIFIER_URL}/save-transaction`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          transactionNumber: verificationData.data.transactionNumber,
-          amount: amount,
-          receiver: verificationData.data.receiver,
-        })
-      });
-
-      if (!saveTransactionResponse.ok) {
-        logger.error('Failed to save transaction record', { response: await saveTransactionResponse.text() });
-        // Don't fail the order if transaction saving fails, just log it
-      }
-    } catch (saveError) {
-      logger.error('Error saving transaction record', { error: saveError.message, stack: saveError.stack });
-      // Don't fail the order if transaction saving fails
-    }
-
-    await ctx.reply('✅ CBE payment verified and order created successfully!');
-    
-    // Delete the uploaded image from Cloudinary
-    try {
-      await deleteFromCloudinary(cloudinaryUrl);
-      logger.debug('Successfully deleted image from Cloudinary', { cloudinaryUrl });
-    } catch (deleteError) {
-      logger.error('Failed to delete image from Cloudinary', { error: deleteError.message, stack: deleteError.stack });
-      // Don't fail the order if deletion fails, just log it
     }
-    
-    delete ctx.session.pendingAccountId;
-    delete ctx.session.pendingPaymentMethod;
-    delete ctx.session.pendingAccountPrice;
-
-  } catch (error) {
-    logger.error('Error verifying CBE payment', { error: error.message, stack: error.stack });
-    await ctx.reply(`❌ An error occurred: ${error.message}`);
-    // Clean up session
-    delete ctx.session.pendingAccountId;
-    delete ctx.session.pendingPaymentMethod;
-    delete ctx.session.pendingAccountPrice;
   }
 });
 
@@ -1092,7 +2416,7 @@ bot.action(/delete_account_(.+)/, async (ctx) => {
     const accountId = ctx.match[1];
     
     // Fetch account details to verify ownership
-    const accountRes = await fetch(`${process.env.API_URL || `http://localhost:3001`}/accounts/${accountId}`);
+    const accountRes = await apiFetch(`/accounts/${accountId}`);
     if (!accountRes.ok) {
       return ctx.answerCbQuery('Error: Could not fetch account details.', { show_alert: true });
     }
@@ -1142,14 +2466,14 @@ bot.action(/confirm_delete_(.+)/, async (ctx) => {
     const accountId = ctx.match[1];
     
     // Delete the account and get affected orders (buyers to notify)
-    const deleteRes = await fetch(`${process.env.API_URL || `http://localhost:3001`}/accounts/${accountId}`, {
+    const deleteRes = await apiFetch(`/accounts/${accountId}`, {
       method: 'DELETE'
     });
 
     if (!deleteRes.ok) {
       const errorData = await safeJsonParse(deleteRes);
       logger.error("Failed to delete account", { errorData });
-      await ctx.editMessageText('❌ Failed to delete account. Please try again later.');
+      await ctx.editMessageText(deleteRes.status === 409 ? `❌ ${errorData.error}` : '❌ Failed to delete account. Please try again later.');
       return ctx.answerCbQuery('Delete failed', { show_alert: true });
     }
 
@@ -1160,7 +2484,7 @@ bot.action(/confirm_delete_(.+)/, async (ctx) => {
     // Notify each buyer
     for (const { buyer, account } of affectedOrders) {
       if (buyer?.telegram_user_id && account?.name) {
-        const msg = `❗️ The order you placed for "${account.name}" was removed by the seller.\nYou will be refunded within 24 hours up to 7 days.`;
+        const msg = `❗️ The order you placed for "${account.name}" was removed by the seller.\nThe payment has been refunded to your balance, see /balance.`;
         try {
           await ctx.telegram.sendMessage(buyer.telegram_user_id, msg);
         } catch (e) {
@@ -1180,81 +2504,51 @@ bot.action(/confirm_delete_(.+)/, async (ctx) => {
 });
 
 
-// Withdraw balance action
-bot.action('withdraw_balance', async (ctx) => {
-    await ctx.answerCbQuery('Processing withdrawal...');
-    const { user } = ctx.session;
-    
-    if (!user || !user.id) {
-        return ctx.reply('You are not logged in. Please use /start to log in.');
-    }
 
-    try {
-        const apiUrl = process.env.API_URL || 'http://localhost:3001';
-        const response = await fetch(`${apiUrl}/users/${user.id}`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
 
-        if (response.ok) {
-            const userData = await response.json();
-            
-            // Check if balance is sufficient
-            if (userData.balance < 100) {
-                return ctx.reply(`❌ Minimum withdrawal threshold is 100 ETB. Your current balance is ${userData.balance} ETB.`);
-            }
-            
-            // Create withdrawal record
-            const withdrawalRes = await fetch(`${apiUrl}/withdrawals`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    user_id: user.id,
-                    amount: userData.balance,
-                    reason: 'seller_payout'
-                })
-            });
-            
-            if (withdrawalRes.ok) {
-                const withdrawal = await withdrawalRes.json();
-                logger.info('Withdrawal created', { withdrawalId: withdrawal.id, amount: withdrawal.amount, userId: user.id });
-                const reasonMessages = {
-                  order_refund: 'Refund processed due to order cancellation',
-                  seller_payout: 'Seller payout initiated - funds will be processed within 24 hours'
-                };
-                await ctx.reply(`✅ ${reasonMessages[withdrawal.reason] || 'Funds will be sent to your bank account within 24 hours'}`);
-            } else {
-                const errorData = await withdrawalRes.json();
-                ctx.reply(`❌ Failed to process withdrawal: ${errorData.error || 'Unknown error'}`);
-            }
-        } else {
-            ctx.reply('Failed to fetch your balance. Please try again later.');
-        }
-    } catch (error) {
-        logger.error('Error processing withdrawal', { error: error.message, stack: error.stack });
-        ctx.reply('An error occurred while processing your withdrawal.');
-    }
-});
 
+// Bot startup. 'webhook' mode (the default) registers WEBHOOK_URL with Telegram and
+// receives updates through POST /webhook in index.js; 'polling' mode is for local
+// development without a public URL.
+const BOT_MODE = process.env.BOT_MODE || 'webhook';
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+
+async function startBot() {
+  if (!MINI_APP_URL) {
+    logger.warn('MINI_APP_URL is not configured in environment variables');
+  }
+
+  if (BOT_MODE === 'polling') {
+    // launch() only resolves once polling stops, so don't wait for it
+    bot.launch({ allowedUpdates: ALLOWED_UPDATES }, () => {
+      logger.info('Bot started in polling mode');
+    }).catch((err) => {
+      logger.error('Error starting bot', { error: err.message, stack: err.stack });
+    });
+    return;
+  }
 
+  const webhookUrl = process.env.WEBHOOK_URL;
+  const secretToken = process.env.WEBHOOK_SECRET;
+  if (!webhookUrl || !secretToken) {
+    logger.error('WEBHOOK_URL and WEBHOOK_SECRET must be set in webhook mode, webhook not registered');
+    return;
+  }
 
-// Start the bot, uncomment this on dev mode
-// bot.launch()
-//   .then(() => {
-//     logger.info('Bot started successfully');
-//     if (!MINI_APP_URL) {
-//       logger.warn('MINI_APP_URL is not configured in environment variables');
-//     }
-//   })
-//   .catch((err) => {
-//     logger.error('Error starting bot', { error: err.message, stack: err.stack });
-//   });
+  try {
+    await bot.telegram.setWebhook(webhookUrl, {
+      secret_token: secretToken,
+      allowed_updates: ALLOWED_UPDATES,
+    });
+    logger.info('Webhook registered', { webhookUrl, allowedUpdates: ALLOWED_UPDATES });
+  } catch (err) {
+    logger.error('Error registering webhook', { error: err.message, stack: err.stack });
+  }
+}
 
-// Enable graceful stop
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+// Enable graceful stop (only polling keeps a running bot to stop)
+process.once('SIGINT', () => BOT_MODE === 'polling' && bot.stop('SIGINT'));
+process.once('SIGTERM', () => BOT_MODE === 'polling' && bot.stop('SIGTERM'));
 
-module.exports = { bot };
+module.exports = { bot, startBot, BOT_MODE };
 
@@ -0,0 +1,27 @@
+const { eq } = require('drizzle-orm');
+const { db, pool } = require('./index');
+const { users } = require('./schema');
+
+// Usage: npm run make-admin -- <telegram_user_id>
+const makeAdmin = async () => {
+  const telegramUserId = process.argv[2];
+  if (!telegramUserId) {
+    console.error('Usage: npm run make-admin -- <telegram_user_id>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await db.update(users)
+    .set({ role: 'admin' })
+    .where(eq(users.telegram_user_id, telegramUserId))
+    .returning();
+
+  if (result.length === 0) {
+    console.error(`No user with telegram_user_id ${telegramUserId}. They need to /start the bot first.`);
+    process.exitCode = 1;
+  } else {
+    console.log(`@${result[0].username} is now an admin.`);
+  }
+};
+
+makeAdmin().finally(() => pool.end());
@@ -0,0 +1,36 @@
+CREATE TABLE "ledger_entries" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"transaction_id" uuid NOT NULL,
+	"type" text NOT NULL,
+	"account" text NOT NULL,
+	"user_id" uuid,
+	"order_id" uuid,
+	"withdrawal_id" uuid,
+	"amount" integer NOT NULL,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_order_id_orders_id_fk" FOREIGN KEY ("order_id") REFERENCES "public"."orders"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_withdrawal_id_withdrawals_id_fk" FOREIGN KEY ("withdrawal_id") REFERENCES "public"."withdrawals"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "ledger_entries_transaction_id_idx" ON "ledger_entries" USING btree ("transaction_id");--> statement-breakpoint
+CREATE INDEX "ledger_entries_user_id_idx" ON "ledger_entries" USING btree ("user_id");--> statement-breakpoint
+CREATE INDEX "ledger_entries_order_id_idx" ON "ledger_entries" USING btree ("order_id");--> statement-breakpoint
+-- Open the ledger with the balances users already had
+WITH opening AS (
+	SELECT "id" AS "user_id", "balance", gen_random_uuid() AS "transaction_id"
+	FROM "users" WHERE coalesce("balance", 0) <> 0
+)
+INSERT INTO "ledger_entries" ("transaction_id", "type", "account", "user_id", "amount")
+SELECT "transaction_id", 'opening_balance', 'seller', "user_id", "balance" FROM opening
+UNION ALL
+SELECT "transaction_id", 'opening_balance', 'external', NULL, -"balance" FROM opening;--> statement-breakpoint
+-- Payments for open orders are held in escrow
+WITH paid AS (
+	SELECT "id" AS "order_id", "amount", gen_random_uuid() AS "transaction_id"
+	FROM "orders" WHERE "status" = 'pending'
+)
+INSERT INTO "ledger_entries" ("transaction_id", "type", "account", "order_id", "amount")
+SELECT "transaction_id", 'payment', 'escrow', "order_id", "amount" FROM paid
+UNION ALL
+SELECT "transaction_id", 'payment', 'external', "order_id", -"amount" FROM paid;
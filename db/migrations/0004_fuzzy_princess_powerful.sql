@@ -0,0 +1,18 @@
+CREATE TABLE "reservations" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"account_id" uuid NOT NULL,
+	"buyer_id" uuid NOT NULL,
+	"status" text DEFAULT 'active' NOT NULL,
+	"expires_at" timestamp NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_account_id_accounts_id_fk" FOREIGN KEY ("account_id") REFERENCES "public"."accounts"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_buyer_id_users_id_fk" FOREIGN KEY ("buyer_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "reservations_active_account_idx" ON "reservations" USING btree ("account_id") WHERE "reservations"."status" = 'active';--> statement-breakpoint
+CREATE INDEX "reservations_status_expires_at_idx" ON "reservations" USING btree ("status","expires_at");--> statement-breakpoint
+-- Release accounts left reserved by timers lost in a restart
+UPDATE "accounts" SET "status" = 'available'
+WHERE "status" = 'pending'
+	AND NOT EXISTS (SELECT 1 FROM "orders" WHERE "orders"."account_id" = "accounts"."id" AND "orders"."status" = 'pending');
@@ -0,0 +1,2 @@
+ALTER TABLE "orders" ADD COLUMN "confirmation_deadline" timestamp;--> statement-breakpoint
+CREATE INDEX "orders_status_confirmation_deadline_idx" ON "orders" USING btree ("status","confirmation_deadline");
\ No newline at end of file
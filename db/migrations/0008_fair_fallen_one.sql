@@ -0,0 +1,21 @@
+ALTER TABLE "transfers" DROP CONSTRAINT "transfers_order_id_orders_id_fk";
+--> statement-breakpoint
+ALTER TABLE "transfers" ADD COLUMN "buyer_id" uuid;--> statement-breakpoint
+ALTER TABLE "transfers" ADD COLUMN "failure_reason" text;--> statement-breakpoint
+ALTER TABLE "transfers" ADD COLUMN "in_progress_at" timestamp;--> statement-breakpoint
+ALTER TABLE "transfers" ADD COLUMN "completed_at" timestamp;--> statement-breakpoint
+ALTER TABLE "transfers" ADD COLUMN "failed_at" timestamp;--> statement-breakpoint
+ALTER TABLE "transfers" ADD CONSTRAINT "transfers_buyer_id_users_id_fk" FOREIGN KEY ("buyer_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "transfers" ADD CONSTRAINT "transfers_order_id_orders_id_fk" FOREIGN KEY ("order_id") REFERENCES "public"."orders"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "transfers_order_id_idx" ON "transfers" USING btree ("order_id");--> statement-breakpoint
+-- Fill in buyers and create records for handovers already under way
+UPDATE "transfers" SET "buyer_id" = "orders"."buyer_id"
+FROM "orders" WHERE "orders"."id" = "transfers"."order_id" AND "transfers"."buyer_id" IS NULL;--> statement-breakpoint
+INSERT INTO "transfers" ("order_id", "seller_id", "buyer_id", "status", "completed_at")
+SELECT "orders"."id", "accounts"."owner_id", "orders"."buyer_id",
+	CASE WHEN "orders"."status" = 'in_transfer' THEN 'initiated' ELSE 'completed' END,
+	CASE WHEN "orders"."status" = 'in_transfer' THEN NULL ELSE "orders"."updated_at" END
+FROM "orders"
+INNER JOIN "accounts" ON "accounts"."id" = "orders"."account_id"
+WHERE "orders"."status" IN ('in_transfer', 'awaiting_buyer_confirmation')
+	AND NOT EXISTS (SELECT 1 FROM "transfers" WHERE "transfers"."order_id" = "orders"."id");
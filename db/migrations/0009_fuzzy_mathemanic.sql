@@ -0,0 +1,16 @@
+CREATE TABLE "payment_receipts" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"provider" text NOT NULL,
+	"reference" text NOT NULL,
+	"order_id" uuid,
+	"user_id" uuid NOT NULL,
+	"amount" integer NOT NULL,
+	"payer" text,
+	"receiver" text,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "payment_receipts" ADD CONSTRAINT "payment_receipts_order_id_orders_id_fk" FOREIGN KEY ("order_id") REFERENCES "public"."orders"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "payment_receipts" ADD CONSTRAINT "payment_receipts_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "payment_receipts_provider_reference_idx" ON "payment_receipts" USING btree ("provider","reference");--> statement-breakpoint
+CREATE INDEX "payment_receipts_order_id_idx" ON "payment_receipts" USING btree ("order_id");
\ No newline at end of file
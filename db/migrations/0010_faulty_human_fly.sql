@@ -0,0 +1,17 @@
+CREATE TABLE "escrow_accounts" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"provider" text NOT NULL,
+	"account_number" text NOT NULL,
+	"holder_name" text NOT NULL,
+	"aliases" text[] DEFAULT '{}'::text[] NOT NULL,
+	"active" boolean DEFAULT true NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX "escrow_accounts_provider_account_number_idx" ON "escrow_accounts" USING btree ("provider","account_number");--> statement-breakpoint
+-- The escrow accounts that used to be hardcoded in the bot and verifiers
+INSERT INTO "escrow_accounts" ("provider", "account_number", "holder_name", "aliases") VALUES
+	('telebirr', '0907608839', 'Kaleb Mate', ARRAY['Kaleb Mate Megane']),
+	('cbe', '1000308680658', 'KALEB MATE MEGANE', ARRAY['Kaleb Mate']),
+	('mock', 'MOCK-ESCROW', 'Mock Escrow', '{}');
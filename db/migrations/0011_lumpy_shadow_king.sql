@@ -0,0 +1,5 @@
+ALTER TABLE "orders" ADD COLUMN "amount_paid" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "orders" ADD COLUMN "topup_deadline" timestamp;--> statement-breakpoint
+CREATE INDEX "orders_status_topup_deadline_idx" ON "orders" USING btree ("status","topup_deadline");--> statement-breakpoint
+-- Orders created so far were paid in full
+UPDATE "orders" SET "amount_paid" = "amount";
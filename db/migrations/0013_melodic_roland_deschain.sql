@@ -0,0 +1,17 @@
+ALTER TABLE "withdrawals" ADD COLUMN "account_holder_name" text;--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD COLUMN "bank_name" text;--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD COLUMN "account_number" text;--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD COLUMN "payout_reference" text;--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD COLUMN "rejection_reason" text;--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD COLUMN "processing_at" timestamp;--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD COLUMN "paid_at" timestamp;--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD COLUMN "rejected_at" timestamp;--> statement-breakpoint
+CREATE INDEX "withdrawals_user_id_idx" ON "withdrawals" USING btree ("user_id");--> statement-breakpoint
+-- Withdrawals still waiting to be paid go to the bank details the user has now
+UPDATE "withdrawals" SET
+	"account_holder_name" = "users"."account_holder_name",
+	"bank_name" = "users"."bank_name",
+	"account_number" = "users"."account_number"
+FROM "users"
+WHERE "users"."id" = "withdrawals"."user_id"
+	AND "withdrawals"."status" IN ('pending', 'processing');
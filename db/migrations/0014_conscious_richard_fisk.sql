@@ -0,0 +1 @@
+ALTER TABLE "withdrawals" ADD COLUMN "fee_amount" integer DEFAULT 0 NOT NULL;
\ No newline at end of file
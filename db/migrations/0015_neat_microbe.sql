@@ -0,0 +1,21 @@
+CREATE TABLE "payout_methods" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" uuid NOT NULL,
+	"bank_name" text NOT NULL,
+	"account_holder_name" text NOT NULL,
+	"account_number" text NOT NULL,
+	"is_default" boolean DEFAULT false NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD COLUMN "payout_method_id" uuid;--> statement-breakpoint
+ALTER TABLE "payout_methods" ADD CONSTRAINT "payout_methods_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "payout_methods_user_account_idx" ON "payout_methods" USING btree ("user_id","bank_name","account_number");--> statement-breakpoint
+CREATE UNIQUE INDEX "payout_methods_user_default_idx" ON "payout_methods" USING btree ("user_id") WHERE "payout_methods"."is_default";--> statement-breakpoint
+ALTER TABLE "withdrawals" ADD CONSTRAINT "withdrawals_payout_method_id_payout_methods_id_fk" FOREIGN KEY ("payout_method_id") REFERENCES "public"."payout_methods"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+-- Each user's bank details become their default payout method
+INSERT INTO "payout_methods" ("user_id", "bank_name", "account_holder_name", "account_number", "is_default")
+SELECT "id", "bank_name", "account_holder_name", "account_number", true
+FROM "users"
+WHERE "bank_name" IS NOT NULL AND "account_holder_name" IS NOT NULL AND "account_number" IS NOT NULL;
@@ -0,0 +1,30 @@
+ALTER TABLE "payout_methods" ADD COLUMN "bank_code" text;--> statement-breakpoint
+-- Match saved payout methods to the banks catalogue by name or alias
+UPDATE "payout_methods" SET "bank_code" = CASE upper(regexp_replace(trim("bank_name"), '[\s-]+', ' ', 'g'))
+	WHEN 'CBE' THEN 'cbe'
+	WHEN 'CBE BANK' THEN 'cbe'
+	WHEN 'COMMERCIAL BANK' THEN 'cbe'
+	WHEN 'COMMERCIAL BANK OF ETHIOPIA' THEN 'cbe'
+	WHEN 'AWASH' THEN 'awash'
+	WHEN 'AWASH BANK' THEN 'awash'
+	WHEN 'DASHEN' THEN 'dashen'
+	WHEN 'DASHEN BANK' THEN 'dashen'
+	WHEN 'BOA' THEN 'boa'
+	WHEN 'ABYSSINIA' THEN 'boa'
+	WHEN 'BANK OF ABYSSINIA' THEN 'boa'
+	WHEN 'TELEBIRR' THEN 'telebirr'
+	WHEN 'TELE BIRR' THEN 'telebirr'
+	WHEN 'M PESA' THEN 'mpesa'
+	WHEN 'MPESA' THEN 'mpesa'
+	WHEN 'SAFARICOM M PESA' THEN 'mpesa'
+END;
+--> statement-breakpoint
+UPDATE "payout_methods" SET "bank_name" = CASE "bank_code"
+	WHEN 'cbe' THEN 'Commercial Bank of Ethiopia'
+	WHEN 'awash' THEN 'Awash Bank'
+	WHEN 'dashen' THEN 'Dashen Bank'
+	WHEN 'boa' THEN 'Bank of Abyssinia'
+	WHEN 'telebirr' THEN 'Telebirr'
+	WHEN 'mpesa' THEN 'M-PESA'
+END
+WHERE "bank_code" IS NOT NULL;
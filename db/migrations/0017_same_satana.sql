@@ -0,0 +1,6 @@
+ALTER TABLE "accounts" ALTER COLUMN "status" SET DEFAULT 'unverified';--> statement-breakpoint
+ALTER TABLE "accounts" ADD COLUMN "verification_code" text;--> statement-breakpoint
+ALTER TABLE "accounts" ADD COLUMN "verified_at" timestamp;--> statement-breakpoint
+-- Listings on sale from before ownership verification existed were never
+-- verified; take them off sale until their owners verify them
+UPDATE "accounts" SET "status" = 'unverified' WHERE "status" = 'available';
\ No newline at end of file
@@ -0,0 +1,5 @@
+ALTER TABLE "accounts" ADD COLUMN "submitted_at" timestamp;--> statement-breakpoint
+ALTER TABLE "accounts" ADD COLUMN "reviewed_at" timestamp;--> statement-breakpoint
+ALTER TABLE "accounts" ADD COLUMN "reviewed_by" uuid;--> statement-breakpoint
+ALTER TABLE "accounts" ADD COLUMN "rejection_reason" text;--> statement-breakpoint
+ALTER TABLE "accounts" ADD CONSTRAINT "accounts_reviewed_by_users_id_fk" FOREIGN KEY ("reviewed_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;
\ No newline at end of file
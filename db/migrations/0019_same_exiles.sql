@@ -0,0 +1,11 @@
+CREATE TABLE "account_media" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"account_id" uuid NOT NULL,
+	"url" text NOT NULL,
+	"caption" text,
+	"position" integer NOT NULL,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "account_media" ADD CONSTRAINT "account_media_account_id_accounts_id_fk" FOREIGN KEY ("account_id") REFERENCES "public"."accounts"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "account_media_account_id_position_idx" ON "account_media" USING btree ("account_id","position");
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "accounts" ADD COLUMN "attributes" jsonb DEFAULT '{}'::jsonb NOT NULL;
\ No newline at end of file
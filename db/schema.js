@@ -1,14 +1,16 @@
-const { pgEnum, pgTable, text, uuid, integer, boolean, timestamp, index } = require('drizzle-orm/pg-core');
-const { relations } = require('drizzle-orm');
+const { pgEnum, pgTable, text, uuid, integer, boolean, timestamp, jsonb, index, uniqueIndex } = require('drizzle-orm/pg-core');
+const { relations, sql } = require('drizzle-orm');
 
 const users = pgTable('users', {
     id: uuid('id').defaultRandom().primaryKey(),
     telegram_user_id: text('telegram_user_id').notNull().unique(),
     username: text('username').notNull(),
+    // Superseded by payout_methods, which were seeded from these
     account_holder_name: text('account_holder_name'),
     bank_name: text('bank_name'),
     account_number: text('account_number'),
     balance: integer('balance').default(0),
+    role: text('role', { enum: ['user', 'admin'] }).notNull().default('user'),
     last_visit: timestamp('last_visit'),
 }, (table) => ({
     telegramUserIdIdx: index('users_telegram_user_id_idx').on(table.telegram_user_id),
@@ -17,15 +19,29 @@ const users = pgTable('users', {
 const accounts = pgTable('accounts', {
     id: uuid('id').defaultRandom().primaryKey(),
     owner_id: uuid('owner_id').notNull().references(() => users.id),
-    platform: text('platform_type', { enum: ['youtube_channel', 'telegram_group', 'telegram_channel', 'tiktok_account'] }).notNull(),
+    // Platforms and their attribute schemas are defined in services/platforms.js
+    platform: text('platform_type', { enum: ['youtube_channel', 'telegram_group', 'telegram_channel', 'tiktok_account', 'instagram_account', 'facebook_page', 'x_account', 'discord_server'] }).notNull(),
     name: text('name').notNull(),
     url: text('url').notNull(),
     price: integer('price').notNull(),
     is_active: boolean('is_active').notNull().default(true),
-    status: text('status', { enum: ['available', 'pending', 'sold'] }).notNull().default('available'),
+    // New listings stay 'unverified' until the seller proves they own them, then
+    // wait 'under_review' until a moderator approves (available) or rejects them
+    status: text('status', { enum: ['unverified', 'under_review', 'rejected', 'available', 'pending', 'sold', 'removed'] }).notNull().default('unverified'),
     subscriber_count: integer('subscriber_count').notNull(),
     creation_year: integer('creation_year'),
     is_monetized: boolean('is_monetized'),
+    // Platform-specific details (watch hours, niche, audience by country...),
+    // validated against the platform's attribute schema
+    attributes: jsonb('attributes').notNull().default({}),
+    // One-time code the seller places on the channel or profile to prove ownership
+    verification_code: text('verification_code'),
+    verified_at: timestamp('verified_at'),
+    // Moderation: when the listing joined the review queue and the latest decision
+    submitted_at: timestamp('submitted_at'),
+    reviewed_at: timestamp('reviewed_at'),
+    reviewed_by: uuid('reviewed_by').references(() => users.id),
+    rejection_reason: text('rejection_reason'),
     created_at: timestamp('created_at').defaultNow(),
     updated_at: timestamp('updated_at').defaultNow(),
 }, (table) => ({
@@ -34,39 +50,238 @@ const accounts = pgTable('accounts', {
     createdAtIdx: index('accounts_created_at_idx').on(table.created_at),
 }));
 
+// Screenshots a seller adds to a listing (channel analytics, stats), shown
+// in position order. The images live on Cloudinary; url is where to fetch them.
+const accountMedia = pgTable('account_media', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    account_id: uuid('account_id').notNull().references(() => accounts.id, { onDelete: 'cascade' }),
+    url: text('url').notNull(),
+    caption: text('caption'),
+    position: integer('position').notNull(),
+    created_at: timestamp('created_at').defaultNow(),
+}, (table) => ({
+    accountPositionIdx: index('account_media_account_id_position_idx').on(table.account_id, table.position),
+}));
+
 const orders = pgTable('orders', {
     id: uuid('id').defaultRandom().primaryKey(),
     buyer_id: uuid('buyer_id').notNull().references(() => users.id),
     account_id: uuid('account_id').notNull().references(() => accounts.id, { onDelete: 'cascade' }),
     amount: integer('amount').notNull(), // Consider removing this as price is in accounts table
-    status: text('status', { enum: ['pending', 'completed', 'cancelled', 'failed'] }).notNull().default('pending'),
+    status: text('status', { enum: ['awaiting_topup', 'pending', 'in_transfer', 'awaiting_buyer_confirmation', 'disputed', 'completed', 'cancelled', 'failed'] }).notNull().default('pending'),
+    // How much of amount is held in escrow; less than amount while awaiting a top-up
+    amount_paid: integer('amount_paid').notNull().default(0),
+    // Platform commission taken from the seller's payout, fixed when the order is created
+    fee_amount: integer('fee_amount').notNull().default(0),
     receipt_no: text('receipt_no'),
+    // Set when the first payment falls short; the order is cancelled if not topped up by then
+    topup_deadline: timestamp('topup_deadline'),
+    // Set when the seller reports the handover done; the order completes on its own after this
+    confirmation_deadline: timestamp('confirmation_deadline'),
     created_at: timestamp('created_at').defaultNow(),
     updated_at: timestamp('updated_at').defaultNow(),
 }, (table) => ({
     buyerIdIdx: index('orders_buyer_id_idx').on(table.buyer_id),
+    statusDeadlineIdx: index('orders_status_confirmation_deadline_idx').on(table.status, table.confirmation_deadline),
+    statusTopupDeadlineIdx: index('orders_status_topup_deadline_idx').on(table.status, table.topup_deadline),
     accountIdIdx: index('orders_account_id_idx').on(table.account_id),
 }));
 
+// Every status change of an order, with who made it and why. from_status is
+// null for the event that created the order.
+const orderEvents = pgTable('order_events', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    order_id: uuid('order_id').notNull().references(() => orders.id, { onDelete: 'cascade' }),
+    from_status: text('from_status'),
+    to_status: text('to_status').notNull(),
+    actor_type: text('actor_type', { enum: ['buyer', 'seller', 'admin', 'system'] }).notNull(),
+    actor_id: uuid('actor_id').references(() => users.id),
+    reason: text('reason'),
+    created_at: timestamp('created_at').defaultNow(),
+}, (table) => ({
+    orderIdIdx: index('order_events_order_id_idx').on(table.order_id),
+}));
+
+// A complaint about an order raised by its buyer or seller. While a dispute is
+// open the order is 'disputed' and its payment stays in escrow; at most one
+// dispute per order is open.
+const disputes = pgTable('disputes', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    order_id: uuid('order_id').notNull().references(() => orders.id, { onDelete: 'cascade' }),
+    opened_by: uuid('opened_by').notNull().references(() => users.id),
+    opener_role: text('opener_role', { enum: ['buyer', 'seller'] }).notNull(),
+    reason: text('reason').notNull(),
+    status: text('status', { enum: ['open', 'resolved'] }).notNull().default('open'),
+    resolution: text('resolution', { enum: ['refund', 'partial_refund', 'release'] }),
+    refund_amount: integer('refund_amount'),
+    resolved_by: uuid('resolved_by').references(() => users.id),
+    resolution_note: text('resolution_note'),
+    created_at: timestamp('created_at').defaultNow(),
+    resolved_at: timestamp('resolved_at'),
+}, (table) => ({
+    openOrderIdx: uniqueIndex('disputes_open_order_idx').on(table.order_id).where(sql`${table.status} = 'open'`),
+    statusIdx: index('disputes_status_idx').on(table.status),
+}));
+
+// Messages and photos sent to the bot in support of a dispute. Photos are
+// stored as Telegram file ids.
+const disputeEvidence = pgTable('dispute_evidence', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    dispute_id: uuid('dispute_id').notNull().references(() => disputes.id, { onDelete: 'cascade' }),
+    user_id: uuid('user_id').notNull().references(() => users.id),
+    type: text('type', { enum: ['text', 'photo'] }).notNull(),
+    text: text('text'),
+    file_id: text('file_id'),
+    created_at: timestamp('created_at').defaultNow(),
+}, (table) => ({
+    disputeIdIdx: index('dispute_evidence_dispute_id_idx').on(table.dispute_id),
+}));
+
+// A buyer's hold on an account while they pay. Expired holds are released by
+// the sweeper in services/reservations.js; at most one hold per account is active.
+const reservations = pgTable('reservations', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    account_id: uuid('account_id').notNull().references(() => accounts.id, { onDelete: 'cascade' }),
+    buyer_id: uuid('buyer_id').notNull().references(() => users.id),
+    status: text('status', { enum: ['active', 'converted', 'expired'] }).notNull().default('active'),
+    expires_at: timestamp('expires_at').notNull(),
+    created_at: timestamp('created_at').defaultNow(),
+    updated_at: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+    activeAccountIdx: uniqueIndex('reservations_active_account_idx').on(table.account_id).where(sql`${table.status} = 'active'`),
+    statusExpiresAtIdx: index('reservations_status_expires_at_idx').on(table.status, table.expires_at),
+}));
+
+// The marketplace's own accounts buyers pay into, per payment provider. A
+// receipt verifies only if its receiver matches the holder name or an alias
+// of an active account; inactive accounts are neither shown nor accepted.
+const escrowAccounts = pgTable('escrow_accounts', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    provider: text('provider').notNull(),
+    account_number: text('account_number').notNull(),
+    holder_name: text('holder_name').notNull(),
+    aliases: text('aliases').array().notNull().default(sql`'{}'::text[]`),
+    active: boolean('active').notNull().default(true),
+    created_at: timestamp('created_at').defaultNow(),
+    updated_at: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+    providerAccountIdx: uniqueIndex('escrow_accounts_provider_account_number_idx').on(table.provider, table.account_number),
+}));
+
+// A verified payment receipt and the order it paid for. The unique key stops a
+// receipt from paying twice; the row outlives its order so a deleted listing
+// cannot free the receipt up again.
+const paymentReceipts = pgTable('payment_receipts', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    provider: text('provider').notNull(),
+    reference: text('reference').notNull(),
+    order_id: uuid('order_id').references(() => orders.id, { onDelete: 'set null' }),
+    user_id: uuid('user_id').notNull().references(() => users.id),
+    amount: integer('amount').notNull(),
+    payer: text('payer'),
+    receiver: text('receiver'),
+    created_at: timestamp('created_at').defaultNow(),
+}, (table) => ({
+    providerReferenceIdx: uniqueIndex('payment_receipts_provider_reference_idx').on(table.provider, table.reference),
+    orderIdIdx: index('payment_receipts_order_id_idx').on(table.order_id),
+}));
+
+// The handover of an account for an order, one per order. created_at is when
+// the seller initiated it; each later step stamps its own column.
 const transfers = pgTable('transfers', {
     id: uuid('id').defaultRandom().primaryKey(),
-    order_id: uuid('order_id').notNull().references(() => orders.id),
+    order_id: uuid('order_id').notNull().references(() => orders.id, { onDelete: 'cascade' }),
     seller_id: uuid('seller_id').notNull().references(() => users.id),
+    buyer_id: uuid('buyer_id').references(() => users.id),
     status: text('status', { enum: ['initiated', 'in_progress', 'completed', 'failed'] }).notNull().default('initiated'),
+    failure_reason: text('failure_reason'),
+    in_progress_at: timestamp('in_progress_at'),
+    completed_at: timestamp('completed_at'),
+    failed_at: timestamp('failed_at'),
     created_at: timestamp('created_at').defaultNow(),
     updated_at: timestamp('updated_at').defaultNow(),
-});
+}, (table) => ({
+    orderIdIdx: uniqueIndex('transfers_order_id_idx').on(table.order_id),
+}));
 
 
+// Where a user can be paid out to. Each user has at most one default, which
+// withdrawals use unless another method is chosen.
+const payoutMethods = pgTable('payout_methods', {
+  id: uuid('id').defaultRandom().primaryKey(),
+  user_id: uuid('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  // Entry in the banks catalogue (services/banks.js); null for details saved
+  // before the catalogue that match none of its banks
+  bank_code: text('bank_code'),
+  bank_name: text('bank_name').notNull(),
+  account_holder_name: text('account_holder_name').notNull(),
+  account_number: text('account_number').notNull(),
+  is_default: boolean('is_default').notNull().default(false),
+  created_at: timestamp('created_at').defaultNow(),
+  updated_at: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  userAccountIdx: uniqueIndex('payout_methods_user_account_idx').on(table.user_id, table.bank_name, table.account_number),
+  userDefaultIdx: uniqueIndex('payout_methods_user_default_idx').on(table.user_id).where(sql`${table.is_default}`),
+}));
+
 const withdrawals = pgTable('withdrawals', {
   id: uuid('id').defaultRandom().primaryKey(),
   user_id: uuid('user_id').notNull().references(() => users.id),
   amount: integer('amount').notNull(),
-  status: text('status', { enum: ['pending', 'completed', 'rejected'] }).notNull().default('pending'),
+  // Withdrawal fee kept by the platform; the user is paid amount - fee_amount
+  fee_amount: integer('fee_amount').notNull().default(0),
+  status: text('status', { enum: ['pending', 'processing', 'paid', 'rejected', 'completed'] }).notNull().default('pending'),
   reason: text('reason', { enum: ['order_refund', 'seller_payout'] }).notNull().default('order_refund'),
+  // Where the money goes, copied from the chosen payout method when the
+  // withdrawal is requested so editing the method does not redirect it
+  payout_method_id: uuid('payout_method_id').references(() => payoutMethods.id, { onDelete: 'set null' }),
+  account_holder_name: text('account_holder_name'),
+  bank_name: text('bank_name'),
+  account_number: text('account_number'),
+  // Reference of the bank transfer that paid it out
+  payout_reference: text('payout_reference'),
+  rejection_reason: text('rejection_reason'),
+  processing_at: timestamp('processing_at'),
+  paid_at: timestamp('paid_at'),
+  rejected_at: timestamp('rejected_at'),
   created_at: timestamp('created_at').defaultNow(),
   updated_at: timestamp('updated_at').defaultNow(),
-});
+}, (table) => ({
+  userIdIdx: index('withdrawals_user_id_idx').on(table.user_id),
+}));
+
+// Double-entry ledger. Every money movement is a set of entries sharing a
+// transaction_id whose amounts sum to zero. A positive amount credits the
+// ledger account, a negative amount debits it. users.balance is kept in sync
+// with the sum of a user's 'seller' and 'buyer' entries.
+const ledgerEntries = pgTable('ledger_entries', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    transaction_id: uuid('transaction_id').notNull(),
+    type: text('type', { enum: ['opening_balance', 'payment', 'balance_payment', 'overpayment', 'release', 'refund', 'payout', 'payout_reversal'] }).notNull(),
+    account: text('account', { enum: ['external', 'escrow', 'seller', 'buyer', 'fee'] }).notNull(),
+    user_id: uuid('user_id').references(() => users.id),
+    order_id: uuid('order_id').references(() => orders.id, { onDelete: 'set null' }),
+    withdrawal_id: uuid('withdrawal_id').references(() => withdrawals.id),
+    amount: integer('amount').notNull(),
+    created_at: timestamp('created_at').defaultNow(),
+}, (table) => ({
+    transactionIdIdx: index('ledger_entries_transaction_id_idx').on(table.transaction_id),
+    userIdIdx: index('ledger_entries_user_id_idx').on(table.user_id),
+    orderIdIdx: index('ledger_entries_order_id_idx').on(table.order_id),
+}));
+
+// Audit trail of forced actions taken through the admin API
+const adminActions = pgTable('admin_actions', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    admin_id: uuid('admin_id').notNull().references(() => users.id),
+    action: text('action').notNull(),
+    target_type: text('target_type', { enum: ['order', 'account', 'user', 'withdrawal', 'dispute', 'escrow_account'] }).notNull(),
+    target_id: uuid('target_id').notNull(),
+    reason: text('reason').notNull(),
+    created_at: timestamp('created_at').defaultNow(),
+}, (table) => ({
+    targetIdx: index('admin_actions_target_idx').on(table.target_type, table.target_id),
+}));
 
 // Define relations
 const usersRelations = relations(users, ({ many }) => ({
@@ -74,13 +289,22 @@ const usersRelations = relations(users, ({ many }) => ({
     orders: many(orders, { relationName: 'buyer' }),
     transfers: many(transfers, { relationName: 'seller' }),
     withdrawals: many(withdrawals),
+    payoutMethods: many(payoutMethods),
 }));
 
-const accountsRelations = relations(accounts, ({ one }) => ({
+const accountsRelations = relations(accounts, ({ one, many }) => ({
     owner: one(users, {
         fields: [accounts.owner_id],
         references: [users.id],
     }),
+    media: many(accountMedia),
+}));
+
+const accountMediaRelations = relations(accountMedia, ({ one }) => ({
+    account: one(accounts, {
+        fields: [accountMedia.account_id],
+        references: [accounts.id],
+    }),
 }));
 
 const ordersRelations = relations(orders, ({ one }) => ({
@@ -94,11 +318,90 @@ const ordersRelations = relations(orders, ({ one }) => ({
     }),
 }));
 
+const payoutMethodsRelations = relations(payoutMethods, ({ one }) => ({
+    user: one(users, {
+        fields: [payoutMethods.user_id],
+        references: [users.id],
+    }),
+}));
+
 const withdrawalsRelations = relations(withdrawals, ({ one }) => ({
     user: one(users, {
         fields: [withdrawals.user_id],
         references: [users.id],
     }),
+    payoutMethod: one(payoutMethods, {
+        fields: [withdrawals.payout_method_id],
+        references: [payoutMethods.id],
+    }),
+}));
+const adminActionsRelations = relations(adminActions, ({ one }) => ({
+    admin: one(users, {
+        fields: [adminActions.admin_id],
+        references: [users.id],
+    }),
+}));
+const orderEventsRelations = relations(orderEvents, ({ one }) => ({
+    order: one(orders, {
+        fields: [orderEvents.order_id],
+        references: [orders.id],
+    }),
+    actor: one(users, {
+        fields: [orderEvents.actor_id],
+        references: [users.id],
+    }),
+}));
+const disputesRelations = relations(disputes, ({ one, many }) => ({
+    order: one(orders, {
+        fields: [disputes.order_id],
+        references: [orders.id],
+    }),
+    evidence: many(disputeEvidence),
+}));
+const disputeEvidenceRelations = relations(disputeEvidence, ({ one }) => ({
+    dispute: one(disputes, {
+        fields: [disputeEvidence.dispute_id],
+        references: [disputes.id],
+    }),
+    user: one(users, {
+        fields: [disputeEvidence.user_id],
+        references: [users.id],
+    }),
+}));
+const reservationsRelations = relations(reservations, ({ one }) => ({
+    account: one(accounts, {
+        fields: [reservations.account_id],
+        references: [accounts.id],
+    }),
+    buyer: one(users, {
+        fields: [reservations.buyer_id],
+        references: [users.id],
+    }),
+}));
+
+const ledgerEntriesRelations = relations(ledgerEntries, ({ one }) => ({
+    user: one(users, {
+        fields: [ledgerEntries.user_id],
+        references: [users.id],
+    }),
+    order: one(orders, {
+        fields: [ledgerEntries.order_id],
+        references: [orders.id],
+    }),
+    withdrawal: one(withdrawals, {
+        fields: [ledgerEntries.withdrawal_id],
+        references: [withdrawals.id],
+    }),
+}));
+const paymentReceiptsRelations = relations(paymentReceipts, ({ one }) => ({
+    order: one(orders, {
+        fields: [paymentReceipts.order_id],
+        references: [orders.id],
+    }),
+    user: one(users, {
+        fields: [paymentReceipts.user_id],
+        references: [users.id],
+    }),
 }));
 const transfersRelations = relations(transfers, ({ one }) => ({
     order: one(orders, {
@@ -109,12 +412,26 @@ const transfersRelations = relations(transfers, ({ one }) => ({
         fields: [transfers.seller_id],
         references: [users.id],
     }),
+    buyer: one(users, {
+        fields: [transfers.buyer_id],
+        references: [users.id],
+    }),
 }));
 
 module.exports = {
     users,
     accounts,
+    accountMedia,
     orders,
+    orderEvents,
+    disputes,
+    disputeEvidence,
+    reservations,
+    escrowAccounts,
+    paymentReceipts,
     transfers,
-    withdrawals
+    payoutMethods,
+    withdrawals,
+    ledgerEntries,
+    adminActions
 };
\ No newline at end of file
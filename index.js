@@ -1,16 +1,32 @@
 require("dotenv").config();
 const express = require("express");
-const { bot } = require("./bot");
-const { Pool } = require("pg");
+const { bot, startBot, BOT_MODE } = require("./bot");
 const cors = require("cors");
-const { drizzle } = require("drizzle-orm/node-postgres");
 const { alias } = require("drizzle-orm/pg-core");
 const { eq, like, ilike, gte, lte, and, or, sql, desc, inArray } = require("drizzle-orm");
-const { accounts, users, orders, transfers, withdrawals } = require("./db/schema");
-const axios = require("axios");
+const { accounts, users, orders, transfers } = require("./db/schema");
+const { db } = require("./db");
 const { Redis } = require("@upstash/redis");
 const compression = require('compression');
 const logger = require("./utils/logger");
+const adminRouter = require("./routes/admin");
+const { ACTIVE_ORDER_STATUSES, getOrder, getOrderDetails, updateOrderStatus, cancelOrder, getOrderEvents, createOrder, topUpOrder, startConfirmationSweeper } = require("./services/orders");
+const { quoteWithdrawal, createWithdrawal, getUserWithdrawals } = require("./services/withdrawals");
+const { listPayoutMethods, createPayoutMethod, updatePayoutMethod, deletePayoutMethod } = require("./services/payoutMethods");
+const { listBanks } = require("./services/banks");
+const { listPlatforms, getPlatform, validateAttributes, attributeConditions } = require("./services/platforms");
+const { getVerification, verifyOwnership } = require("./services/ownership");
+const { getUserTransactions } = require("./services/ledger");
+const { feeBreakdown } = require("./services/fees");
+const { getAccount, deleteAccount, resubmitAccount } = require("./services/accounts");
+const { listAccountMedia, addAccountMedia, removeAccountMedia } = require("./services/accountMedia");
+const { reserveAccount, getActiveReservation, startReservationSweeper } = require("./services/reservations");
+const { getDispute, getOrderDispute, openDispute, addEvidence } = require("./services/disputes");
+const { getTransfer, getOrderTransfer, markTransferInProgress } = require("./services/transfers");
+const { listProviders, verifyPayment, recordPaymentUse } = require("./services/payments");
+const { notifyUser } = require("./utils/notifier");
+const { authenticate, requireUser, canActAs, verifyWebhookSecret } = require("./utils/telegramAuth");
+const { HttpError } = require("./utils/errors");
 
 // Global error handler for unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
@@ -33,20 +49,14 @@ const redis = new Redis({
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
-
 const corsOptions = {
   origin: "*",
   credentials: true
 };
 
-const db = drizzle(pool);
-
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Credentials', 'true');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Telegram-Init-Data');
   next();
 });
 
@@ -61,10 +71,29 @@ app.get("/", (req, res) => {
   res.json({ message: "Server is running!" });
 });
 
+app.post('/webhook', (req, res) => {
+  if (BOT_MODE !== 'webhook') {
+    return res.status(404).json({ error: "Webhook is disabled in polling mode" });
+  }
+  if (!verifyWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    logger.warn('Rejected webhook call with invalid secret token', { ip: req.ip });
+    return res.status(401).json({ error: "Invalid secret token" });
+  }
+  bot.handleUpdate(req.body, res)
+})
+
+// Everything below needs a verified caller (mini app initData or the bot's internal token)
+app.use(authenticate);
 
 app.post('/users', async (req, res) => {
   try {
-    const { telegram_user_id, username } = req.body;
+    const telegram_user_id = req.body.telegram_user_id || req.telegramUser?.id?.toString();
+    const username = req.body.username || (req.internal ? undefined : req.telegramUser?.username);
+
+    if (!req.internal && telegram_user_id !== req.telegramUser.id.toString()) {
+      return res.status(403).json({ error: "You can only register your own Telegram account" });
+    }
+
     const existing = await db.select().from(users).where(eq(users.telegram_user_id, telegram_user_id));
     if (existing.length === 0) {
       // create user
@@ -86,9 +115,17 @@ app.post('/users', async (req, res) => {
   }
 })
 
+// Routes below act on behalf of a registered user
+app.use(requireUser);
+
+app.use('/admin', adminRouter);
+
 app.get('/users/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
     const result = await db.select().from(users).where(eq(users.id, id));
     res.json(result[0]);
   } catch (error) {
@@ -101,12 +138,17 @@ app.get('/users/:id', async (req, res) => {
 app.put('/users/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
     const { balance, last_visit } = req.body;
 
-    const updateData = {};
+    // Balances only change through ledger postings (orders, refunds, withdrawals)
     if (balance !== undefined) {
-      updateData.balance = balance;
+      return res.status(400).json({ error: "Balance cannot be updated directly" });
     }
+
+    const updateData = {};
     if (last_visit) {
       updateData.last_visit = new Date(last_visit);
     }
@@ -131,50 +173,115 @@ app.put('/users/:id', async (req, res) => {
 });
 
 
+// Kept for older clients: saves the bank details as a payout method and
+// makes it the default. Invalid details get a 400 with a message per field
+// in details.fields.
 app.put('/users/:id/bank-details', async (req, res) => {
   try {
     const { id } = req.params;
-    const { account_holder_name, bank_name, account_number } = req.body;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
+    const { bank_code, account_holder_name, bank_name, account_number } = req.body;
 
-    if (!account_holder_name || !bank_name || !account_number) {
-      return res.status(400).json({ error: "Bank account details are required" });
+    const method = await createPayoutMethod(id, { bank_code, account_holder_name, bank_name, account_number });
+    res.json(method.is_default ? method : await updatePayoutMethod(id, method.id, { is_default: true }));
+  } catch (error) {
+    console.error("Error updating bank details:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to update bank details", details: error.details });
+  }
+});
+
+// Banks and wallets payout methods can use, with their account number format
+app.get('/banks', (req, res) => {
+  res.json(listBanks());
+});
+
+// Platforms that can be listed, with the attributes each one takes
+app.get('/platforms', (req, res) => {
+  res.json(listPlatforms());
+});
+
+// Where a user can be paid out to, the default first
+app.get('/users/:id/payout-methods', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
     }
+    res.json(await listPayoutMethods(id));
+  } catch (error) {
+    console.error("Error fetching payout methods:", error);
+    res.status(500).json({ error: "Failed to fetch payout methods" });
+  }
+});
 
-    const result = await db.update(users).set({
-      account_holder_name,
-      bank_name,
-      account_number,
-    }).where(eq(users.id, id)).returning();
+app.post('/users/:id/payout-methods', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
+    const { bank_code, bank_name, account_holder_name, account_number, is_default } = req.body;
+    res.status(201).json(await createPayoutMethod(id, { bank_code, bank_name, account_holder_name, account_number, is_default }));
+  } catch (error) {
+    console.error("Error creating payout method:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to create payout method", details: error.details });
+  }
+});
 
-    if (result.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+// Edits a payout method or makes it the default ({ is_default: true })
+app.put('/users/:id/payout-methods/:methodId', async (req, res) => {
+  try {
+    const { id, methodId } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
     }
+    const { bank_code, bank_name, account_holder_name, account_number, is_default } = req.body;
+    res.json(await updatePayoutMethod(id, methodId, { bank_code, bank_name, account_holder_name, account_number, is_default }));
+  } catch (error) {
+    console.error("Error updating payout method:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to update payout method", details: error.details });
+  }
+});
 
-    res.json(result[0]);
+app.delete('/users/:id/payout-methods/:methodId', async (req, res) => {
+  try {
+    const { id, methodId } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
+    await deletePayoutMethod(id, methodId);
+    res.status(204).end();
   } catch (error) {
-    console.error("Error updating bank details:", error);
-    res.status(500).json({ error: "Failed to update bank details" });
+    console.error("Error deleting payout method:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to delete payout method" });
   }
 });
 
 app.get('/users/:id/purchases', async (req, res) => {
   try {
     const { id } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
     const seller = alias(users, 'seller');
     const result = await db
       .select({
         order: orders,
         account: accounts,
         user: users, // This is the buyer
-        seller: seller
+        seller: seller,
+        transfer: transfers
       })
       .from(orders)
       .innerJoin(accounts, eq(orders.account_id, accounts.id))
       .innerJoin(users, eq(orders.buyer_id, users.id))
       .innerJoin(seller, eq(accounts.owner_id, seller.id))
+      .leftJoin(transfers, eq(transfers.order_id, orders.id))
       .where(eq(orders.buyer_id, id));
     
-    const formattedResult = result.map(p => ({ order: p.order, account: p.account, user: p.user, seller: p.seller }));
+    const formattedResult = result.map(p => ({ order: p.order, account: p.account, user: p.user, seller: p.seller, transfer: p.transfer }));
     res.json(formattedResult);
   } catch (error) {
     console.error("Error fetching purchases:", error);
@@ -185,14 +292,18 @@ app.get('/users/:id/purchases', async (req, res) => {
 app.get('/users/:id/sales', async (req, res) => {
   try {
     const { id } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
     // First get all orders for accounts owned by this user
     const result = await db
       .select()
       .from(orders)
       .innerJoin(accounts, eq(orders.account_id, accounts.id))
       .innerJoin(users, eq(orders.buyer_id, users.id))
+      .leftJoin(transfers, eq(transfers.order_id, orders.id))
       .where(eq(accounts.owner_id, id));
-    const formattedResult = result.map(s => ({ order: s.orders, account: s.accounts, user: s.users }));
+    const formattedResult = result.map(s => ({ order: s.orders, account: s.accounts, user: s.users, transfer: s.transfers }));
     res.json(formattedResult);
   } catch (error) {
     console.error("Error fetching sales:", error);
@@ -201,6 +312,41 @@ app.get('/users/:id/sales', async (req, res) => {
 })
 
 
+// Payments, overpayment credits, refunds, sale proceeds and withdrawals
+app.get('/users/:id/transactions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    res.json(await getUserTransactions(db, id, { limit, offset }));
+  } catch (error) {
+    console.error("Error fetching transactions:", error);
+    res.status(500).json({ error: "Failed to fetch transactions" });
+  }
+})
+
+// Withdrawals with their status, bank details and payout reference, newest first
+app.get('/users/:id/withdrawals', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!canActAs(req, id)) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
+    res.json(await getUserWithdrawals(id));
+  } catch (error) {
+    console.error("Error fetching withdrawals:", error);
+    res.status(500).json({ error: "Failed to fetch withdrawals" });
+  }
+})
+
+// Listings whose owner proved they own them carry verified: true
+function withVerifiedBadge(account) {
+  return { ...account, verified: Boolean(account.verified_at) };
+}
+
 app.get('/accounts', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -226,7 +372,7 @@ app.get('/accounts', async (req, res) => {
     console.log(`[ACCOUNTS] Found ${result.length} accounts on page ${page}/${totalPages}. Total: ${totalCount}, HasMore: ${hasMore}`);
     
     const response = {
-      accounts: result,
+      accounts: result.map(withVerifiedBadge),
       pagination: {
         currentPage: page,
         totalPages,
@@ -245,13 +391,22 @@ app.get('/accounts', async (req, res) => {
 })
 
 
+// Platform fee and net amount for a listing price, for the listing form
+app.get("/fees/quote", (req, res) => {
+  const { platform_type } = req.query;
+  const price = parseInt(req.query.price);
+  if (!platform_type || !Number.isInteger(price) || price <= 0) {
+    return res.status(400).json({ error: "platform_type and a positive price are required" });
+  }
+  res.json(feeBreakdown(platform_type, price));
+});
+
 // listing account
 app.post("/accounts", async (req, res) => {
   console.log("Received request body:", req.body)
   try {
     const { 
       // Account details
-      owner_id, 
       platform_type, 
       name, 
       url, 
@@ -259,19 +414,37 @@ app.post("/accounts", async (req, res) => {
       subscriber_count, 
       creation_year, 
       is_monetized,
-      // Bank account details
+      // Platform-specific details, see GET /platforms
+      attributes,
+      // Optional payout method to add, for sellers without one
+      bank_code,
       account_holder_name,
       bank_name,
       account_number
     } = req.body;
+    const owner_id = req.body.owner_id || req.user?.id;
 
-    if (!account_holder_name || !bank_name || !account_number) {
-      return res.status(400).json({ error: "Bank account details are required" });
+    if (!canActAs(req, owner_id)) {
+      return res.status(403).json({ error: "You can only list accounts for yourself" });
     }
+    const cleanAttributes = validateAttributes(platform_type, attributes);
+
+    // Bank details sent with a listing are added to the seller's payout
+    // methods (the default only if they had none) in the same transaction as
+    // the listing, so a failed listing adds none; the seller must end up with
+    // somewhere to be paid
+    const { account, payout_method } = await db.transaction(async (tx) => {
+      let payout_method = null;
+      if (bank_code || account_holder_name || bank_name || account_number) {
+        payout_method = await createPayoutMethod(owner_id, { bank_code, account_holder_name, bank_name, account_number }, tx);
+      } else {
+        const methods = await listPayoutMethods(owner_id, tx);
+        if (methods.length === 0) {
+          throw new HttpError(400, "Please add a payout method before listing an account");
+        }
+        payout_method = methods[0];
+      }
 
-    // Start a transaction
-    const result = await db.transaction(async (tx) => {
-      // Create the account first
       const accountResult = await tx.insert(accounts).values({
         owner_id,
         platform: platform_type,
@@ -281,39 +454,84 @@ app.post("/accounts", async (req, res) => {
         subscriber_count,
         creation_year,
         is_monetized,
+        attributes: cleanAttributes,
+        status: 'unverified',
       }).returning();
+      return { account: accountResult[0], payout_method };
+    });
 
-      // Then, update the user's bank account details
-      const userResult = await tx.update(users).set({
-        account_holder_name,
-        bank_name,
-        account_number,
-      }).where(eq(users.id, owner_id)).returning();
-
-      // Return both results
-      if (!accountResult[0] || !userResult[0]) {
-        throw new Error("Failed to create account or update user bank details");
-      }
+    // The listing is reviewed by a moderator once the seller proves they own it
+    const verification = await getVerification(account.id);
+    if (!req.internal) {
+      await notifyUser(req.telegramUser.id,
+        `📝 Your listing "${account.name}" was created. Verify that you own it and a moderator will review it before it goes on sale:\n\n${verification.instructions}`,
+        { reply_markup: { inline_keyboard: [[{ text: '✅ Verify now', callback_data: `verify_account_${account.id}` }]] } });
+    }
 
-      return {
-        account: accountResult[0],
-        user: userResult[0]
-      };
-    });
+    const result = {
+      account,
+      payout_method,
+      verification,
+      fee_breakdown: feeBreakdown(account.platform, account.price)
+    };
 
-    console.log("Transaction completed successfully:", result);
+    console.log("Account listed successfully:", result);
     res.json(result);
   } catch (error) {
-    console.error("Error in transaction:", error);
-    res.status(500).json({ 
-      error: "Failed to create account and bank details", 
+    console.error("Error listing account:", error);
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : "Failed to create account", 
       message: error.message,
-      details: error.detail || error.toString()
+      details: error.details || error.detail || error.toString()
     });
   }
 });
 
 
+// What the owner has to do to prove a listing is theirs (issues its one-time
+// code when it needs one)
+app.get("/accounts/:id/verification", async (req, res) => {
+  try {
+    const account = await getAccount(req.params.id);
+    if (!canActAs(req, account.owner_id)) {
+      return res.status(403).json({ error: "You can only verify your own listings" });
+    }
+    res.json(await getVerification(account.id));
+  } catch (error) {
+    console.error("Error fetching verification:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to fetch verification" });
+  }
+});
+
+// Checks ownership and sends a verified listing for review
+app.post("/accounts/:id/verify", async (req, res) => {
+  try {
+    const account = await getAccount(req.params.id);
+    if (!canActAs(req, account.owner_id)) {
+      return res.status(403).json({ error: "You can only verify your own listings" });
+    }
+    const verified = await verifyOwnership(account.id);
+    res.json({ ...verified, verified: Boolean(verified.verified_at) });
+  } catch (error) {
+    console.error("Error verifying account:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to verify account" });
+  }
+});
+
+// Sends a rejected listing, once edited, back to the review queue
+app.post("/accounts/:id/resubmit", async (req, res) => {
+  try {
+    const account = await getAccount(req.params.id);
+    if (!canActAs(req, account.owner_id)) {
+      return res.status(403).json({ error: "You can only resubmit your own listings" });
+    }
+    res.json(await resubmitAccount(account.id));
+  } catch (error) {
+    console.error("Error resubmitting account:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to resubmit account" });
+  }
+});
+
 // app.get("/search/account", async (req, res) => {
 //   try {
 //     const { query } = req.query;
@@ -337,6 +555,9 @@ app.get("/search/accounts", async (req, res) => {
     let filteredAccounts = db.select().from(accounts);
     // Allow owners to see their pending accounts
     const ownerId = req.query.owner_id;
+    if (ownerId && !canActAs(req, ownerId)) {
+      return res.status(403).json({ error: "You can only view your own listings" });
+    }
     let statusCondition;
     if (ownerId) {
       statusCondition = or(
@@ -359,12 +580,16 @@ app.get("/search/accounts", async (req, res) => {
     if (query) {
       conditions.push(ilike(accounts.name, `%${query}%`));
     }
+    let types = [];
     if (platform_types) {
-      const types = platform_types.split(',').map(t => t.trim().toLowerCase()).filter(t => t);
+      types = platform_types.split(',').map(t => t.trim().toLowerCase()).filter(t => t);
+      types.forEach(getPlatform);
       if (types.length > 0) {
         conditions.push(inArray(accounts.platform, types));
       }
     }
+    // e.g. attributes[watch_hours][min]=4000, see services/platforms.js
+    conditions.push(...attributeConditions(types, req.query.attributes));
     if (minSubscribers) {
       conditions.push(gte(accounts.subscriber_count, parseInt(minSubscribers)));
     }
@@ -402,7 +627,10 @@ app.get("/search/accounts", async (req, res) => {
     console.log(`[SEARCH] Found ${results.length} results on page ${page}/${totalPages}`);
 
     res.json({
-      accounts: results,
+      // Owners see what they will receive for each listing after the platform fee
+      accounts: ownerId
+        ? results.map(a => ({ ...withVerifiedBadge(a), fee_breakdown: feeBreakdown(a.platform, a.price) }))
+        : results.map(withVerifiedBadge),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -413,7 +641,7 @@ app.get("/search/accounts", async (req, res) => {
     });
   } catch (error) {
     console.error("Error searching accounts:", error);
-    res.status(500).json({ error: "Failed to search accounts" });
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to search accounts" });
   }
 });
 
@@ -422,95 +650,149 @@ app.get("/accounts/:id", async (req, res) => {
   try {
     const { id } = req.params;
     const result = await db.select().from(accounts).where(eq(accounts.id, id)).innerJoin(users, eq(accounts.owner_id, users.id));
-    res.json(result);
+    const media = result.length > 0 ? await listAccountMedia(id) : [];
+    res.json(result.map(row => ({ ...row, account_media: media })));
   } catch (error) {
     console.error("Error fetching account:", error);
     res.status(500).json({ error: "Failed to fetch account" });
   }
 });
 
+// Adds a screenshot to a listing's gallery. The body is the image itself
+// (Content-Type image/jpeg, image/png or image/webp); ?caption= is optional.
+app.post('/accounts/:id/media', express.raw({ type: ['image/jpeg', 'image/png', 'image/webp'], limit: '5mb' }), async (req, res) => {
+  try {
+    const account = await getAccount(req.params.id);
+    if (!canActAs(req, account.owner_id)) {
+      return res.status(403).json({ error: "You can only add images to your own listings" });
+    }
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: "Send a JPEG, PNG or WebP image" });
+    }
+    res.status(201).json(await addAccountMedia(account.id, req.body, req.query.caption));
+  } catch (error) {
+    console.error("Error adding account media:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to add image" });
+  }
+});
+
+app.delete('/accounts/:id/media/:mediaId', async (req, res) => {
+  try {
+    const account = await getAccount(req.params.id);
+    if (!canActAs(req, account.owner_id)) {
+      return res.status(403).json({ error: "You can only remove images from your own listings" });
+    }
+    res.json(await removeAccountMedia(account.id, req.params.mediaId));
+  } catch (error) {
+    console.error("Error removing account media:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to remove image" });
+  }
+});
+
 // Add this endpoint to update an account
 app.put('/accounts/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, platform, url, price, subscriber_count, is_monetized, creation_year } = req.body;
+    const { name, platform, url, price, subscriber_count, is_monetized, creation_year, attributes } = req.body;
     
     // First check if the account exists
     const existingAccount = await db.select().from(accounts).where(eq(accounts.id, id));
     if (existingAccount.length === 0) {
       return res.status(404).json({ error: "Account not found" });
     }
-    
+    if (!canActAs(req, existingAccount[0].owner_id)) {
+      return res.status(403).json({ error: "You can only edit your own accounts" });
+    }
+
+    // attributes replaces the listing's attributes; moving to another platform
+    // keeps only the ones that platform has
+    const existing = existingAccount[0];
+    const platformChanged = platform !== undefined && platform !== existing.platform;
+    let cleanAttributes;
+    if (attributes !== undefined) {
+      cleanAttributes = validateAttributes(platform ?? existing.platform, attributes);
+    } else if (platformChanged) {
+      cleanAttributes = validateAttributes(platform, existing.attributes, { dropUnknown: true });
+    }
+
+    const changes = {
+      name,
+      platform,
+      attributes: cleanAttributes,
+      url,
+      price,
+      subscriber_count,
+      is_monetized,
+      creation_year,
+      updated_at: new Date()
+    };
+    // Pointing the listing somewhere else needs its ownership proved again
+    if ((url !== undefined && url !== existing.url) || platformChanged) {
+      changes.verified_at = null;
+      changes.verification_code = null;
+      if (['available', 'under_review'].includes(existing.status)) changes.status = 'unverified';
+    }
+
     // Update the account
     const result = await db.update(accounts)
-      .set({
-        name,
-        platform,
-        url,
-        price,
-        subscriber_count,
-        is_monetized,
-        creation_year,
-        updated_at: new Date()
-      })
+      .set(changes)
       .where(eq(accounts.id, id))
       .returning();
     
     res.json(result[0]);
   } catch (error) {
     console.error("Error updating account:", error);
-    res.status(500).json({ error: "Failed to update account" });
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to update account", details: error.details });
   }
 });
 
 app.post("/accounts/:id/reserve", async (req, res) => {
   const { id } = req.params;
-  const { buyer_id } = req.body;
+  const buyer_id = req.body.buyer_id || req.user?.id;
 
   if (!buyer_id) {
     return res.status(400).json({ error: "Buyer ID is required to reserve an account." });
   }
+  if (!canActAs(req, buyer_id)) {
+    return res.status(403).json({ error: "You can only reserve accounts for yourself" });
+  }
 
   try {
-    const result = await db.transaction(async (tx) => {
-      const account = await tx.select().from(accounts).where(eq(accounts.id, id)).for('update');
-
-      if (account.length === 0 || account[0].status !== 'available') {
-        throw new Error("Account is not available for reservation.");
-      }
-
-      const updatedAccount = await tx.update(accounts)
-        .set({ status: 'pending' })
-        .where(eq(accounts.id, id))
-        .returning();
-
-      // Set a timeout to release the reservation
-      setTimeout(async () => {
-        const currentAccount = await db.select().from(accounts).where(eq(accounts.id, id));
-        if (currentAccount[0] && currentAccount[0].status === 'pending') {
-          // Check if an order was created in the meantime
-           const pendingOrder = await db.select().from(orders).where(and(eq(orders.account_id, id), eq(orders.status, 'pending')));
-           if(pendingOrder.length === 0){
-             await db.update(accounts).set({ status: 'available' }).where(eq(accounts.id, id));
-             console.log(`Reservation for account ${id} has expired and it has been made available again.`);
-           }
-        }
-      }, 10 * 60 * 1000); // 10 minutes
-
-      return updatedAccount[0];
-    });
-
-    res.json({ success: true, account: result });
-
+    const { account, reservation } = await reserveAccount(id, buyer_id);
+    res.json({ success: true, account, reservation });
   } catch (error) {
     console.error("Error reserving account:", error);
-    res.status(error.message.includes("Account is not available") ? 409 : 500).json({
+    res.status(error.status || 500).json({
       error: "Failed to reserve account",
       details: error.message
     });
   }
 });
 
+// The caller's active reservation on an account, with seconds_left
+app.get("/accounts/:id/reservation", async (req, res) => {
+  const { id } = req.params;
+  const buyer_id = req.query.buyer_id || req.user?.id;
+
+  if (!buyer_id) {
+    return res.status(400).json({ error: "Buyer ID is required" });
+  }
+  if (!canActAs(req, buyer_id)) {
+    return res.status(403).json({ error: "You can only view your own reservations" });
+  }
+
+  try {
+    const reservation = await getActiveReservation(id, buyer_id);
+    if (!reservation) {
+      return res.status(404).json({ error: "No active reservation for this account" });
+    }
+    res.json(reservation);
+  } catch (error) {
+    console.error("Error fetching reservation:", error);
+    res.status(500).json({ error: "Failed to fetch reservation", details: error.message });
+  }
+});
+
 // Check if user already has an active order for an account
 app.get("/orders/check", async (req, res) => {
   try {
@@ -519,6 +801,9 @@ app.get("/orders/check", async (req, res) => {
     if (!buyer_id || !account_id) {
       return res.status(400).json({ error: "Missing buyer_id or account_id" });
     }
+    if (!canActAs(req, buyer_id)) {
+      return res.status(403).json({ error: "You can only check your own orders" });
+    }
     
     // Check for existing active orders
     const existingOrder = await db.select()
@@ -527,10 +812,7 @@ app.get("/orders/check", async (req, res) => {
         and(
           eq(orders.buyer_id, buyer_id),
           eq(orders.account_id, account_id),
-          or(
-            eq(orders.status, 'pending'),
-            eq(orders.status, 'in_progress')
-          )
+          inArray(orders.status, ACTIVE_ORDER_STATUSES)
         )
       )
       .limit(1);
@@ -551,75 +833,68 @@ app.get("/orders/check", async (req, res) => {
   }
 });
 
-app.post("/orders/verify-payment", async (req, res) => {
+// Payment providers the buyer can choose from
+app.get("/payments/providers", async (req, res) => {
   try {
-    const { reference, amount } = req.body;
-    const apiKey = process.env.RECEIPT_VERIFIER_API_KEY;
-
-    if (!reference || !amount) {
-      return res.status(400).json({ error: "Receipt number and amount are required" });
-    }
-
-    if (!apiKey) {
-      console.error("RECEIPT_VERIFIER_API_KEY is not set.");
-      return res.status(500).json({ error: "Server configuration error." });
-    }
-
-    const verificationResponse = await axios.post(
-      "https://verifyapi.leulzenebe.pro/verify-telebirr",
-      { reference },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": apiKey,
-        },
-      }
-    );
+    res.json(await listProviders());
+  } catch (error) {
+    console.error("Error fetching payment providers:", error);
+    res.status(500).json({ error: "Failed to fetch payment providers" });
+  }
+});
 
-    const { success, data } = verificationResponse.data;
+// Checks a receipt with its provider without creating an order
+app.post("/orders/verify-payment", async (req, res) => {
+  try {
+    const { provider = 'telebirr', reference, image_url, amount } = req.body;
 
-    if (!success) {
-      return res.status(400).json({ error: "Payment verification failed", details: data });
+    if (!reference && !image_url) {
+      return res.status(400).json({ error: "A receipt is required" });
     }
-    
-    const settledAmount = parseFloat(data.settledAmount.replace(/[^0-9.-]+/g,""));
-    const expectedAmount = parseFloat(amount);
 
-    if (data.creditedPartyName !== "Kaleb Mate Megane" || settledAmount < expectedAmount) {
-      console.log(`Verification failed for receipt ${reference}. Expected receiver: "Kaleb Mate Megane", got: "${data.creditedPartyName}". Expected amount: ${expectedAmount}, got: ${settledAmount}`);
-      return res.status(400).json({ error: "Payment details mismatch." });
+    // With an amount, also say how much of it the payment leaves unpaid
+    const payment = await verifyPayment(provider, { reference, image_url });
+    const response = { success: true, payment };
+    if (amount) {
+      response.remaining = Math.max(Number(amount) - Math.floor(payment.amount), 0);
     }
-
-    res.json({ success: true, verificationData: data });
-
+    res.json(response);
   } catch (error) {
     console.error("Error verifying payment:", error.response ? error.response.data : error.message);
-    res.status(500).json({ error: "Failed to verify payment" });
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : "Failed to verify payment",
+      details: error.details
+    });
   }
 });
 
-
+// Creates the order for the account's price, paid by a receipt verified with
+// the chosen provider, by the buyer's balance (use_balance), or by both. An
+// overpayment is credited to the buyer's balance (credited in the response);
+// an underpayment leaves the order awaiting_topup.
 app.post("/orders", async (req, res) => {
-  const { buyer_id, account_id, amount, receipt_no } = req.body;
-
-  try {
-    // The account is already reserved (status: 'pending') by the bot action.
-    // We just need to create the order record.
-    const newOrder = await db.insert(orders).values({
-      buyer_id,
-      account_id,
-      amount,
-      receipt_no,
-      status: 'pending',
-      created_at: new Date(),
-      updated_at: new Date()
-    }).returning();
-    
-    res.status(201).json(newOrder[0]);
+  const { account_id, provider, reference, image_url } = req.body;
+  const use_balance = req.body.use_balance === true;
+  const buyer_id = req.body.buyer_id || req.user?.id;
+
+  if (!canActAs(req, buyer_id)) {
+    return res.status(403).json({ error: "You can only place orders for yourself" });
+  }
+  if (!buyer_id || !account_id || (!provider && !use_balance)) {
+    return res.status(400).json({ error: "buyer_id, account_id and a provider or use_balance are required" });
+  }
+
+  try {
+    const account = await getAccount(account_id);
+    const payment = provider ? await verifyPayment(provider, { reference, image_url }) : null;
+
+    const { order, credited } = await createOrder({ buyer_id, account_id, amount: account.price, payment, use_balance });
+    if (payment) await recordPaymentUse(payment);
+    res.status(201).json({ ...order, credited });
 
   } catch (error) {
     console.error("Error creating order:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: "Failed to create order",
       details: error.message
     });
@@ -638,47 +913,75 @@ app.post("/orders", async (req, res) => {
 // });
 
 
+// A second receipt for an order whose first payment fell short
+app.post("/orders/:id/topup", async (req, res) => {
+  const { id } = req.params;
+  const { provider, reference, image_url } = req.body;
+  try {
+    const order = await getOrder(id);
+    if (!canActAs(req, order.buyer_id)) {
+      return res.status(403).json({ error: "Failed to top up order", details: "Only the buyer can top up this order" });
+    }
+    if (!provider) {
+      return res.status(400).json({ error: "Failed to top up order", details: "provider is required" });
+    }
+
+    const payment = await verifyPayment(provider, { reference, image_url });
+    const result = await topUpOrder(id, payment);
+    await recordPaymentUse(payment);
+    res.json({ ...result.order, credited: result.credited });
+  } catch (error) {
+    console.error("Error topping up order:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to top up order",
+      details: error.message
+    });
+  }
+});
+
 app.get("/orders/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await db.select().from(orders)
-      .where(eq(orders.id, id))
-      .innerJoin(users, eq(orders.buyer_id, users.id))
-      .innerJoin(accounts, eq(orders.account_id, accounts.id));
+    const details = await getOrderDetails(id);
 
-    if (result.length === 0) {
-      return res.status(404).json({ error: "Order not found" });
-    }
-
-    const orderResult = result[0];
-    const sellerRes = await db.select().from(users).where(eq(users.id, orderResult.accounts.owner_id));
-    
-    if (sellerRes.length === 0) {
-      return res.status(404).json({ error: "Seller not found for this order" });
+    if (!canActAs(req, details.buyer.id) && !canActAs(req, details.seller.id)) {
+      return res.status(403).json({ error: "You are not a party to this order" });
     }
 
-    const finalResult = {
-      order: orderResult.orders,
-      account: orderResult.accounts,
-      buyer: orderResult.users,
-      seller: sellerRes[0]
-    };
-
-    res.json(finalResult);
+    res.json(details);
   } catch (error) {
     console.error("Error fetching order:", error);
-    res.status(500).json({ error: "Failed to fetch order" });
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to fetch order" });
   }
 });
 
+// Who is acting on an order, for its event history. The bot counts as the
+// system when it calls without naming a user; anyone else must be the buyer
+// or the seller, or gets a 403.
+function orderActor(req, order, sellerId, reason) {
+  if (req.user && req.user.id === order.buyer_id) {
+    return { actor_type: 'buyer', actor_id: req.user.id, reason };
+  }
+  if (req.user && req.user.id === sellerId) {
+    return { actor_type: 'seller', actor_id: req.user.id, reason };
+  }
+  if (req.internal && !req.telegramUser) {
+    return { actor_type: 'system', actor_id: null, reason };
+  }
+  throw new HttpError(403, "You are not a party to this order");
+}
+
 app.put("/orders/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     if (!status) {
       return res.status(400).json({ error: "Status is required" });
     }
+    if (status === 'disputed') {
+      return res.status(400).json({ error: "Open a dispute with POST /orders/:id/disputes to dispute an order" });
+    }
 
     // First get the order details before updating
     const orderDetails = await db.select()
@@ -689,88 +992,137 @@ app.put("/orders/:id", async (req, res) => {
     if (orderDetails.length === 0) {
       return res.status(404).json({ error: "Order not found" });
     }
+    const order = orderDetails[0].orders;
+    const sellerId = orderDetails[0].accounts?.owner_id;
+    if (!canActAs(req, order.buyer_id) && !canActAs(req, sellerId)) {
+      return res.status(403).json({ error: "You are not a party to this order" });
+    }
 
-    // Update the order status
-    const result = await db.update(orders)
-      .set({ status, updated_at: new Date() })
-      .where(eq(orders.id, id))
-      .returning();
+    // Illegal moves are rejected with 409 by the order state machine
+    const result = await updateOrderStatus(id, status, orderActor(req, order, sellerId, reason));
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating order:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to update order" });
+  }
+});
 
-    // If status is completed, mark account as sold and create payout
-    if (status === 'completed') {
-      const order = result[0];
+// Status history of an order, oldest first
+app.get("/orders/:id/events", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { buyer, seller } = await getOrderDetails(id);
 
-      // Fetch the account info
-      const accountArr = await db.select().from(accounts).where(eq(accounts.id, order.account_id));
-      if (!accountArr.length) {
-        return res.status(404).json({ error: "Account not found for payout" });
-      }
-      const account = accountArr[0];
+    if (!canActAs(req, buyer.id) && !canActAs(req, seller.id)) {
+      return res.status(403).json({ error: "You are not a party to this order" });
+    }
 
-      await db.update(accounts).set({ status: 'sold' }).where(eq(accounts.id, order.account_id));
+    res.json(await getOrderEvents(id));
+  } catch (error) {
+    console.error("Error fetching order events:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to fetch order events" });
+  }
+});
 
-      // Create seller payout using fetched account info
-      await db.insert(withdrawals).values({
-        user_id: account.owner_id,
-        amount: account.price,
-        status: 'pending',
-        reason: 'seller_payout'
-      });
 
-      // Wait a few seconds to allow notifications to be sent, then delete the account and all its orders
-      setTimeout(async () => {
-        try {
-          // Delete all orders for this account
-          await db.delete(orders).where(eq(orders.account_id, order.account_id));
-          // Delete the account itself
-          await db.delete(accounts).where(eq(accounts.id, order.account_id));
-          console.log(`Account ${order.account_id} and its orders deleted after successful transfer.`);
-        } catch (error) {
-          console.error('Error during cleanup after order completion:', error);
-        }
-      }, 5000); // 5 seconds delay
+// Open a dispute on an active order; payout stays frozen until an admin resolves it
+app.post("/orders/:id/disputes", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user_id = req.body.user_id || req.user?.id;
+
+    if (!user_id) {
+      return res.status(400).json({ error: "user_id is required" });
+    }
+    if (!canActAs(req, user_id)) {
+      return res.status(403).json({ error: "You can only open disputes for yourself" });
     }
 
-    res.json(result[0]);
+    const dispute = await openDispute({ order_id: id, user_id, reason: req.body.reason });
+
+    // Let the other party know the payment is on hold
+    const { account, buyer, seller } = await getOrderDetails(id);
+    const otherParty = dispute.opener_role === 'buyer' ? seller : buyer;
+    await notifyUser(otherParty.telegram_user_id,
+      `⚠️ The ${dispute.opener_role} opened a dispute on the order for "${account.name}". ` +
+      `The payment is on hold until support reviews it.\nReason: ${dispute.reason}`);
+
+    res.status(201).json(dispute);
   } catch (error) {
-    console.error("Error updating order:", error);
+    console.error("Error opening dispute:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to open dispute",
+      details: error.message
+    });
+  }
+});
+
+// The latest dispute on an order, with its evidence
+app.get("/orders/:id/dispute", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { buyer, seller } = await getOrderDetails(id);
+
+    if (!canActAs(req, buyer.id) && !canActAs(req, seller.id)) {
+      return res.status(403).json({ error: "You are not a party to this order" });
+    }
+
+    const dispute = await getOrderDispute(id);
+    if (!dispute) {
+      return res.status(404).json({ error: "No dispute on this order" });
+    }
+    res.json(dispute);
+  } catch (error) {
+    console.error("Error fetching dispute:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to fetch dispute" });
   }
 });
 
+// Add a message or photo (Telegram file_id) to an open dispute
+app.post("/disputes/:id/evidence", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, text, file_id } = req.body;
+    const user_id = req.body.user_id || req.user?.id;
+
+    if (!user_id) {
+      return res.status(400).json({ error: "user_id is required" });
+    }
+    const dispute = await getDispute(id);
+    const { buyer, seller } = await getOrderDetails(dispute.order_id);
+    if (!canActAs(req, user_id) || (user_id !== buyer.id && user_id !== seller.id)) {
+      return res.status(403).json({ error: "You are not a party to this dispute" });
+    }
+
+    const evidence = await addEvidence(id, user_id, { type, text, file_id });
+    res.status(201).json(evidence);
+  } catch (error) {
+    console.error("Error adding dispute evidence:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to add evidence",
+      details: error.message
+    });
+  }
+});
 
 app.post("/orders/:id/cancel", async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await db.transaction(async (tx) => {
-      // 1. Get the order
-      const orderArr = await tx.select().from(orders).where(eq(orders.id, id));
-      if (orderArr.length === 0) {
-        throw new Error("Order not found");
-      }
-      const order = orderArr[0];
-
-      // 2. Update the account status back to 'available'
-      await tx.update(accounts).set({ status: 'available' }).where(eq(accounts.id, order.account_id));
-      
-      // 3. Create refund withdrawal
-      await tx.insert(withdrawals).values({
-        user_id: order.buyer_id,
-        amount: order.amount,
-        status: 'completed',
-        reason: 'order_refund'
-      });
+    const order = await getOrder(id);
+    if (!canActAs(req, order.buyer_id)) {
+      return res.status(403).json({ error: "Failed to cancel order", details: "Only the buyer can cancel this order" });
+    }
 
-      // 4. Delete the order
-      const deletedOrder = await tx.delete(orders).where(eq(orders.id, id)).returning();
-      
-      return deletedOrder[0];
+    const result = await cancelOrder(id, {
+      actor_type: 'buyer',
+      actor_id: order.buyer_id,
+      reason: req.body?.reason || null,
     });
-
     res.json({ success: true, cancelled_order: result });
 
   } catch (error) {
     console.error("Error cancelling order:", error);
-    res.status(error.message.includes("Order not found") ? 404 : 500).json({
+    res.status(error.status || 500).json({
       error: "Failed to cancel order",
       details: error.message
     });
@@ -778,44 +1130,91 @@ app.post("/orders/:id/cancel", async (req, res) => {
 });
 
 
+// Orders are never removed, so their payments and history stay on record.
+// Deleting an active order cancels it, like POST /orders/:id/cancel; a
+// completed, cancelled or failed one is refused by the state machine with 409.
 app.delete("/orders/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await db.delete(orders).where(eq(orders.id, id)).returning();
-    if (result.length === 0) {
-      return res.status(404).json({ error: "Order not found" });
+    const order = await getOrder(id);
+    if (!canActAs(req, order.buyer_id)) {
+      return res.status(403).json({ error: "Only the buyer can delete this order" });
     }
-    res.json({ success: true, deleted: result[0] });
+    const result = await cancelOrder(id, {
+      actor_type: 'buyer',
+      actor_id: order.buyer_id,
+      reason: req.body?.reason || null,
+    });
+    res.json({ success: true, cancelled_order: result });
   } catch (error) {
     console.error("Error deleting order:", error);
-    res.status(500).json({ error: "Failed to delete order" });
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to delete order" });
   }
 });
 
+// Start the handover for an order. This moves the order to in_transfer, which
+// creates the transfer record.
 app.post("/transfers", async (req, res) => {
   try {
-    const { order_id, seller_id, buyer_id } = req.body;
-    const result = await db.insert(transfers).values({
-      order_id,
-      seller_id,
-      buyer_id,
-    }).returning();
-    res.json(result[0]);
+    const { order_id, reason } = req.body;
+    const { order, seller } = await getOrderDetails(order_id);
+    if (!canActAs(req, seller.id)) {
+      return res.status(403).json({ error: "Only the seller can create a transfer" });
+    }
+
+    await updateOrderStatus(order_id, 'in_transfer', orderActor(req, order, seller.id, reason));
+    res.status(201).json(await getOrderTransfer(order_id));
   } catch (error) {
     console.error("Error creating transfer:", error);
-    res.status(500).json({ error: "Failed to create transfer" });
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to create transfer" });
   }
 });
 
 app.put("/transfers/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
-    const result = await db.update(transfers).set({ status }).where(eq(transfers.id, id)).returning();
-    res.json(result[0]);
+    const { status, reason } = req.body;
+    const transfer = await getTransfer(id);
+    if (!canActAs(req, transfer.seller_id)) {
+      return res.status(403).json({ error: "Only the seller can update this transfer" });
+    }
+
+    if (status === 'in_progress') {
+      return res.json(await markTransferInProgress(id));
+    }
+    if (status !== 'completed' && status !== 'failed') {
+      return res.status(400).json({ error: "Status must be 'in_progress', 'completed' or 'failed'" });
+    }
+
+    // Finishing the handover moves the order on, which settles the transfer
+    const order = await getOrder(transfer.order_id);
+    const orderStatus = status === 'completed' ? 'awaiting_buyer_confirmation' : 'failed';
+    await updateOrderStatus(order.id, orderStatus, orderActor(req, order, transfer.seller_id, reason));
+    res.json(await getTransfer(id));
   } catch (error) {
     console.error("Error updating transfer:", error);
-    res.status(500).json({ error: "Failed to update transfer" });
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to update transfer" });
+  }
+});
+
+// Where the handover for an order stands
+app.get("/orders/:id/transfer", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { buyer, seller } = await getOrderDetails(id);
+
+    if (!canActAs(req, buyer.id) && !canActAs(req, seller.id)) {
+      return res.status(403).json({ error: "You are not a party to this order" });
+    }
+
+    const transfer = await getOrderTransfer(id);
+    if (!transfer) {
+      return res.status(404).json({ error: "The handover for this order has not started" });
+    }
+    res.json(transfer);
+  } catch (error) {
+    console.error("Error fetching transfer:", error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to fetch transfer" });
   }
 });
 
@@ -825,6 +1224,9 @@ app.get('/users/by-telegram/:telegram_user_id', async (req, res) => {
   try {
     const { telegram_user_id } = req.params;
     console.log('telegram_user_id', telegram_user_id)
+    if (!req.internal && req.telegramUser.id.toString() !== telegram_user_id) {
+      return res.status(403).json({ error: "You can only access your own data" });
+    }
     const result = await db.select().from(users).where(eq(users.telegram_user_id, telegram_user_id));
     console.log('result', result)
     if (result.length === 0) {
@@ -843,65 +1245,23 @@ app.delete('/accounts/:id', async (req, res) => {
     const { id } = req.params;
     
     // First check if the account exists
-    const existingAccount = await db.select().from(accounts).where(eq(accounts.id, id));
-    if (existingAccount.length === 0) {
-      return res.status(404).json({ error: "Account not found" });
+    const account = await getAccount(id);
+    if (!canActAs(req, account.owner_id)) {
+      return res.status(403).json({ error: "You can only delete your own accounts" });
     }
-    const account = existingAccount[0];
 
-    // Fetch all active orders and their buyers for this account
-    const activeOrders = await db
-      .select({
-        order: orders,
-        buyer: users,
-        account: accounts
-      })
-      .from(orders)
-      .innerJoin(users, eq(orders.buyer_id, users.id))
-      .innerJoin(accounts, eq(orders.account_id, accounts.id))
-      .where(eq(orders.account_id, id));
-
-    // Prepare affectedOrders array for bot notifications
-    const affectedOrders = activeOrders.map(o => ({
-      buyer: {
-        telegram_user_id: o.buyer.telegram_user_id,
-        username: o.buyer.username
-      },
-      account: {
-        name: o.account.name
-      }
-    }));
-
-    // Use transaction to handle order cleanup and refunds
-    const result = await db.transaction(async (tx) => {
-      // Create refund withdrawals for each order
-      for (const o of activeOrders) {
-        await tx.insert(withdrawals).values({
-          user_id: o.buyer.id,
-          amount: o.order.amount,
-          status: 'completed',
-          reason: 'order_refund'
-        });
-      }
-
-      // Delete all associated orders
-      await tx.delete(orders).where(eq(orders.account_id, id));
-      
-      // Delete the account
-      const deletedAccount = await tx.delete(accounts).where(eq(accounts.id, id)).returning();
-      return deletedAccount[0];
-    });
+    const { deleted, affectedOrders } = await deleteAccount(id, { actor_type: 'system', actor_id: req.user?.id || null, reason: 'The seller deleted the listing' });
 
     res.json({
       success: true,
       message: "Account deleted successfully",
-      deleted: result,
+      deleted,
       affectedOrders // <-- This is what your bot expects!
     });
 
   } catch (error) {
     console.error("Error deleting account:", error);
-    res.status(500).json({ error: "Failed to delete account" });
+    res.status(error.status || 500).json({ error: error.status ? error.message : "Failed to delete account" });
   }
 });
 
@@ -909,6 +1269,14 @@ app.delete('/accounts/:id', async (req, res) => {
 app.get('/accounts/:id/orders', async (req, res) => {
   try {
     const { id } = req.params;
+
+    const account = await db.select().from(accounts).where(eq(accounts.id, id));
+    if (account.length === 0) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    if (!canActAs(req, account[0].owner_id)) {
+      return res.status(403).json({ error: "You can only view orders for your own accounts" });
+    }
     
     const result = await db.select()
       .from(orders)
@@ -925,11 +1293,14 @@ app.get('/accounts/:id/orders', async (req, res) => {
 app.put('/accounts/:id/mark-as-sold', async (req, res) => {
   try {
     const { id } = req.params;
-    const { seller_id } = req.body;
+    const seller_id = req.body.seller_id || req.user?.id;
 
     if (!seller_id) {
       return res.status(400).json({ error: "Seller ID is required" });
     }
+    if (!canActAs(req, seller_id)) {
+      return res.status(403).json({ error: "You can only mark your own accounts as sold" });
+    }
 
     // Verify the account belongs to the seller
     const account = await db.select()
@@ -956,55 +1327,59 @@ app.put('/accounts/:id/mark-as-sold', async (req, res) => {
   }
 });
 
-// Create withdrawal endpoint
+// What a withdrawal of amount would pay out and where to, for the
+// confirmation screen; fails like POST /withdrawals would
+app.get('/withdrawals/quote', async (req, res) => {
+  try {
+    const user_id = req.query.user_id || req.user?.id;
+    if (!user_id || req.query.amount === undefined) {
+      return res.status(400).json({ error: "user_id and amount are required" });
+    }
+    if (!canActAs(req, user_id)) {
+      return res.status(403).json({ error: "You can only withdraw your own balance" });
+    }
+    res.json(await quoteWithdrawal({ user_id, amount: Number(req.query.amount), payout_method_id: req.query.payout_method_id }));
+  } catch (error) {
+    console.error("Error quoting withdrawal:", error);
+    res.status(error.status || 500).json({ error: error.message || "Failed to quote withdrawal", details: error.details });
+  }
+});
+
+// Create withdrawal endpoint. The minimum, daily maximum and cooldown are
+// enforced by the service.
 app.post('/withdrawals', async (req, res) => {
   try {
-    const { user_id, amount, reason } = req.body;
+    const { amount, reason } = req.body;
+    const user_id = req.body.user_id || req.user?.id;
     
     if (!user_id || amount === undefined) {
       return res.status(400).json({ error: "user_id and amount are required" });
     }
+    if (!canActAs(req, user_id)) {
+      return res.status(403).json({ error: "You can only withdraw your own balance" });
+    }
     
-    // Start transaction
-    const result = await db.transaction(async (tx) => {
-      // Check user balance
-      const user = await tx.select().from(users).where(eq(users.id, user_id));
-      if (user.length === 0) {
-        throw new Error("User not found");
-      }
-      if (user[0].balance < amount) {
-        throw new Error("Insufficient balance");
-      }
-      
-      // Update user balance
-      const newBalance = user[0].balance - amount;
-      await tx.update(users).set({ balance: newBalance }).where(eq(users.id, user_id));
-      
-      // Create withdrawal record
-      const withdrawal = await tx.insert(withdrawals).values({
-        user_id,
-        amount,
-        reason,
-        status: 'pending',
-      }).returning();
-      
-      return withdrawal[0];
-    });
-    
+    // Debits the balance through the ledger; fails with 409 if it is too low
+    const result = await createWithdrawal({ user_id, amount: Number(amount), reason, payout_method_id: req.body.payout_method_id });
+
+    // The bot confirms in the chat itself; other clients get a message here
+    if (!req.internal) {
+      await notifyUser(req.telegramUser.id,
+        `🕒 Your withdrawal of ${result.amount - result.fee_amount} ETB to ${result.bank_name} ••${String(result.account_number).slice(-4)} has been requested. You will be notified once it is paid.`);
+    }
+
     res.json(result);
   } catch (error) {
     console.error("Error creating withdrawal:", error);
-    res.status(500).json({ error: error.message || "Failed to create withdrawal" });
+    res.status(error.status || 500).json({ error: error.message || "Failed to create withdrawal", details: error.details });
   }
 });
 
 // Start the server
-
-app.post('/webhook', (req, res) => {
-  bot.handleUpdate(req.body, res)
-})
-
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Redis connected to ${process.env.REDIS_URL}`);
+  startBot();
+  startReservationSweeper();
+  startConfirmationSweeper();
 });
@@ -0,0 +1,544 @@
+const express = require('express');
+const { eq, ilike, and, or, sql, asc, desc, lt, inArray } = require('drizzle-orm');
+const { db } = require('../db');
+const { accounts, users, orders, withdrawals, disputes, adminActions } = require('../db/schema');
+const { requireAdmin } = require('../utils/telegramAuth');
+const { ACTIVE_ORDER_STATUSES, sellerPayout, getOrderDetails, updateOrderStatus, cancelOrder } = require('../services/orders');
+const { updateWithdrawalStatus } = require('../services/withdrawals');
+const { getDisputeWithEvidence, resolveDispute } = require('../services/disputes');
+const { getLedgerBalances } = require('../services/ledger');
+const { notifyUser } = require('../utils/notifier');
+const { takeDownAccount, reviewAccount } = require('../services/accounts');
+const { HttpError } = require('../utils/errors');
+const { getProvider, listEscrowAccounts, createEscrowAccount, updateEscrowAccount } = require('../services/payments');
+
+const router = express.Router();
+
+// Active orders untouched for longer than this are reported by GET /admin/orders/stuck
+const STUCK_ORDER_HOURS = parseInt(process.env.STUCK_ORDER_HOURS) || 24;
+
+router.use(requireAdmin);
+
+function getPagination(query) {
+  const page = parseInt(query.page) || 1;
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// Runs a filtered, paginated list query and wraps it in the same
+// { items, pagination } shape as GET /accounts
+async function listTable(table, conditions, query) {
+  const { page, limit, offset } = getPagination(query);
+  const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+  const totalCountResult = await db.select({ count: sql`count(*)` }).from(table).where(where);
+  const totalCount = parseInt(totalCountResult[0].count);
+
+  const items = await db.select().from(table)
+    .where(where)
+    .orderBy(desc(table.created_at), table.id)
+    .limit(limit)
+    .offset(offset);
+
+  const totalPages = Math.ceil(totalCount / limit);
+  return {
+    items,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      hasMore: page < totalPages,
+      limit
+    }
+  };
+}
+
+function requireReason(req) {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    throw new HttpError(400, "A reason is required for admin actions");
+  }
+  return reason;
+}
+
+// Call inside the transaction that makes the change, so that no admin change
+// is committed without its audit record
+async function recordAdminAction(tx, req, action, targetType, targetId, reason) {
+  await tx.insert(adminActions).values({
+    admin_id: req.user.id,
+    action,
+    target_type: targetType,
+    target_id: targetId,
+    reason,
+  });
+}
+
+// Actor recorded on order events for changes made through the admin API
+function adminActor(req, reason) {
+  return { actor_type: 'admin', actor_id: req.user.id, reason };
+}
+
+function sendError(res, error, fallback) {
+  console.error(`${fallback}:`, error);
+  res.status(error.status || 500).json({ error: error.status ? error.message : fallback });
+}
+
+router.get('/orders', async (req, res) => {
+  try {
+    const { status, buyer_id, account_id } = req.query;
+    const conditions = [];
+    if (status) conditions.push(eq(orders.status, status));
+    if (buyer_id) conditions.push(eq(orders.buyer_id, buyer_id));
+    if (account_id) conditions.push(eq(orders.account_id, account_id));
+
+    res.json(await listTable(orders, conditions, req.query));
+  } catch (error) {
+    sendError(res, error, "Failed to fetch orders");
+  }
+});
+
+router.get('/withdrawals', async (req, res) => {
+  try {
+    const { status, user_id, reason } = req.query;
+    const conditions = [];
+    // status accepts a comma separated list, e.g. pending,processing
+    if (status) conditions.push(inArray(withdrawals.status, status.split(',')));
+    if (user_id) conditions.push(eq(withdrawals.user_id, user_id));
+    if (reason) conditions.push(eq(withdrawals.reason, reason));
+
+    const result = await listTable(withdrawals, conditions, req.query);
+
+    // Attach who is being paid, so admins can act on the list directly. Where
+    // to is on the withdrawal itself.
+    const userIds = [...new Set(result.items.map(w => w.user_id))];
+    const owners = userIds.length > 0
+      ? await db.select().from(users).where(inArray(users.id, userIds))
+      : [];
+    const ownersById = Object.fromEntries(owners.map(u => [u.id, u]));
+    result.items = result.items.map(w => {
+      const owner = ownersById[w.user_id];
+      return {
+        ...w,
+        user: owner && {
+          id: owner.id,
+          telegram_user_id: owner.telegram_user_id,
+          username: owner.username
+        }
+      };
+    });
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to fetch withdrawals");
+  }
+});
+
+// Active orders nobody has moved for a while, with account, buyer and seller
+router.get('/orders/stuck', async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || STUCK_ORDER_HOURS;
+    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const stuck = await db.select({ id: orders.id }).from(orders)
+      .where(and(inArray(orders.status, ACTIVE_ORDER_STATUSES), lt(orders.updated_at, cutoff)))
+      .orderBy(orders.updated_at)
+      .limit(50);
+
+    const items = [];
+    for (const { id } of stuck) {
+      items.push(await getOrderDetails(id));
+    }
+    res.json({ items, hours });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch stuck orders");
+  }
+});
+
+router.get('/accounts', async (req, res) => {
+  try {
+    const { status, platform, owner_id, query } = req.query;
+    const conditions = [];
+    if (status) conditions.push(eq(accounts.status, status));
+    if (platform) conditions.push(eq(accounts.platform, platform));
+    if (owner_id) conditions.push(eq(accounts.owner_id, owner_id));
+    if (query) conditions.push(ilike(accounts.name, `%${query}%`));
+
+    res.json(await listTable(accounts, conditions, req.query));
+  } catch (error) {
+    sendError(res, error, "Failed to fetch accounts");
+  }
+});
+
+// Listings waiting for moderation with their sellers, oldest submission first
+router.get('/accounts/review', async (req, res) => {
+  try {
+    const { page, limit, offset } = getPagination(req.query);
+    const where = eq(accounts.status, 'under_review');
+
+    const totalCountResult = await db.select({ count: sql`count(*)` }).from(accounts).where(where);
+    const totalCount = parseInt(totalCountResult[0].count);
+
+    const rows = await db.select({ account: accounts, owner: users })
+      .from(accounts)
+      .innerJoin(users, eq(accounts.owner_id, users.id))
+      .where(where)
+      .orderBy(asc(accounts.submitted_at), accounts.id)
+      .limit(limit)
+      .offset(offset);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    res.json({
+      items: rows.map(({ account, owner }) => ({
+        ...account,
+        owner: { id: owner.id, username: owner.username, telegram_user_id: owner.telegram_user_id },
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasMore: page < totalPages,
+        limit
+      }
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch the review queue");
+  }
+});
+
+const REVIEW_MESSAGES = {
+  approve: (a) => [`✅ Your listing "${a.name}" was approved and is now on sale.`],
+  reject: (a, reason) => [
+    `❌ Your listing "${a.name}" was not approved.\nReason: ${reason}\n\nEdit the listing to fix this, then resubmit it.`,
+    { reply_markup: { inline_keyboard: [[{ text: '🔁 Resubmit', callback_data: `resubmit_account_${a.id}` }]] } },
+  ],
+};
+
+// Approve a listing in the review queue, putting it on sale, or reject it
+// with a reason the seller sees
+router.post('/accounts/:id/:decision(approve|reject)', async (req, res) => {
+  try {
+    const { id, decision } = req.params;
+    const reason = requireReason(req);
+
+    const { account, owner } = await db.transaction(async (tx) => {
+      const reviewed = await reviewAccount(id, decision, { reviewer_id: req.user.id, reason }, tx);
+      await recordAdminAction(tx, req, `account_${decision}`, 'account', id, reason);
+      return reviewed;
+    });
+    await notifyUser(owner?.telegram_user_id, ...REVIEW_MESSAGES[decision](account, reason));
+
+    res.json(account);
+  } catch (error) {
+    sendError(res, error, "Failed to review account");
+  }
+});
+
+router.get('/users', async (req, res) => {
+  try {
+    const { role, query } = req.query;
+    const { page, limit, offset } = getPagination(req.query);
+    const conditions = [];
+    if (role) conditions.push(eq(users.role, role));
+    if (query) {
+      conditions.push(or(
+        ilike(users.username, `%${query}%`),
+        eq(users.telegram_user_id, query)
+      ));
+    }
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    // users has no created_at, so it is ordered by last visit instead
+    const totalCountResult = await db.select({ count: sql`count(*)` }).from(users).where(where);
+    const totalCount = parseInt(totalCountResult[0].count);
+    const items = await db.select().from(users)
+      .where(where)
+      .orderBy(sql`${users.last_visit} desc nulls last`, users.id)
+      .limit(limit)
+      .offset(offset);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    res.json({
+      items,
+      pagination: { currentPage: page, totalPages, totalCount, hasMore: page < totalPages, limit }
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch users");
+  }
+});
+
+router.get('/actions', async (req, res) => {
+  try {
+    const { target_type, target_id, admin_id } = req.query;
+    const conditions = [];
+    if (target_type) conditions.push(eq(adminActions.target_type, target_type));
+    if (target_id) conditions.push(eq(adminActions.target_id, target_id));
+    if (admin_id) conditions.push(eq(adminActions.admin_id, admin_id));
+
+    res.json(await listTable(adminActions, conditions, req.query));
+  } catch (error) {
+    sendError(res, error, "Failed to fetch admin actions");
+  }
+});
+
+// Users whose cached balance differs from what the ledger says
+router.get('/ledger/reconcile', async (req, res) => {
+  try {
+    const ledgerBalances = await getLedgerBalances(db);
+    const allUsers = await db.select({ id: users.id, username: users.username, balance: users.balance }).from(users);
+
+    const mismatches = allUsers
+      .map(u => ({ ...u, balance: u.balance || 0, ledger_balance: ledgerBalances[u.id] || 0 }))
+      .filter(u => u.balance !== u.ledger_balance);
+
+    res.json({ checked: allUsers.length, mismatches });
+  } catch (error) {
+    sendError(res, error, "Failed to reconcile ledger");
+  }
+});
+
+// Move an order along its state machine, e.g. to unstick it or complete it manually
+router.put('/orders/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const reason = requireReason(req);
+    if (!status) {
+      return res.status(400).json({ error: "Status is required" });
+    }
+
+    const { account, buyer, seller } = await getOrderDetails(id);
+    const order = await db.transaction(async (tx) => {
+      const updated = await updateOrderStatus(id, status, adminActor(req, reason), tx);
+      await recordAdminAction(tx, req, `order_status:${status}`, 'order', id, reason);
+      return updated;
+    });
+
+    const message = `ℹ️ Support updated the order for "${account.name}" to: ${status}.\nReason: ${reason}`;
+    await notifyUser(buyer.telegram_user_id, message);
+    await notifyUser(seller.telegram_user_id, message);
+
+    res.json(order);
+  } catch (error) {
+    sendError(res, error, "Failed to update order status");
+  }
+});
+
+// Cancel an order and refund the buyer
+router.post('/orders/:id/refund', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = requireReason(req);
+
+    const { account, buyer, seller } = await getOrderDetails(id);
+    const order = await db.transaction(async (tx) => {
+      const cancelled = await cancelOrder(id, adminActor(req, reason), tx);
+      await recordAdminAction(tx, req, 'order_refund', 'order', id, reason);
+      return cancelled;
+    });
+
+    await notifyUser(buyer.telegram_user_id,
+      `↩️ Your order for "${account.name}" was cancelled by support and ${order.amount_paid} ETB has been refunded to your balance.\nReason: ${reason}`);
+    await notifyUser(seller.telegram_user_id,
+      `❗️ The order for "${account.name}" was cancelled by support and the buyer was refunded.\nReason: ${reason}`);
+
+    res.json({ success: true, cancelled_order: order });
+  } catch (error) {
+    sendError(res, error, "Failed to refund order");
+  }
+});
+
+// Remove a listing from the marketplace, refunding any pending orders
+router.post('/accounts/:id/takedown', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = requireReason(req);
+
+    const result = await db.transaction(async (tx) => {
+      const takenDown = await takeDownAccount(id, adminActor(req, reason), tx);
+      await recordAdminAction(tx, req, 'account_takedown', 'account', id, reason);
+      return takenDown;
+    });
+
+    const { account, affectedOrders } = result;
+    const owner = await db.select().from(users).where(eq(users.id, account.owner_id));
+    await notifyUser(owner[0]?.telegram_user_id,
+      `🚫 Your listing "${account.name}" was removed by support${affectedOrders.length ? ' and its open orders were cancelled' : ''}.\nReason: ${reason}`);
+    for (const { buyer } of affectedOrders) {
+      await notifyUser(buyer.telegram_user_id,
+        `❗️ The order you placed for "${account.name}" was cancelled because support removed the listing.\nThe payment has been refunded to your balance, see /balance.`);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "Failed to take down account");
+  }
+});
+
+const WITHDRAWAL_STATUS_MESSAGES = {
+  processing: (w) => `⏳ Your withdrawal of ${w.amount} ETB is now being processed.`,
+  paid: (w) => `✅ Your withdrawal of ${w.amount - w.fee_amount} ETB has been paid to your ${w.bank_name} account ending ${String(w.account_number).slice(-4)}.\nPayout reference: ${w.payout_reference}`,
+  rejected: (w, reason) => `❌ Your withdrawal of ${w.amount} ETB was rejected and the amount has been returned to your balance.\nReason: ${reason}`,
+};
+
+// Approve (processing), mark paid (with the bank transfer's payout_reference)
+// or reject a withdrawal
+router.put('/withdrawals/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, payout_reference } = req.body;
+    const reason = requireReason(req);
+    if (!WITHDRAWAL_STATUS_MESSAGES[status]) {
+      return res.status(400).json({ error: "Status must be 'processing', 'paid' or 'rejected'" });
+    }
+
+    const { withdrawal, user } = await db.transaction(async (tx) => {
+      const updated = await updateWithdrawalStatus(id, status, { payout_reference, reason }, tx);
+      await recordAdminAction(tx, req, `withdrawal_status:${status}`, 'withdrawal', id, reason);
+      return updated;
+    });
+    await notifyUser(user?.telegram_user_id, WITHDRAWAL_STATUS_MESSAGES[status](withdrawal, reason));
+
+    res.json(withdrawal);
+  } catch (error) {
+    sendError(res, error, "Failed to update withdrawal status");
+  }
+});
+
+router.get('/disputes', async (req, res) => {
+  try {
+    const { status, order_id } = req.query;
+    const conditions = [];
+    if (status) conditions.push(eq(disputes.status, status));
+    if (order_id) conditions.push(eq(disputes.order_id, order_id));
+
+    const result = await listTable(disputes, conditions, req.query);
+
+    // Attach the order, account and both parties
+    const items = [];
+    for (const dispute of result.items) {
+      items.push({ ...dispute, ...(await getOrderDetails(dispute.order_id)) });
+    }
+    res.json({ ...result, items });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch disputes");
+  }
+});
+
+router.get('/disputes/:id', async (req, res) => {
+  try {
+    const dispute = await getDisputeWithEvidence(req.params.id);
+    res.json({ ...dispute, ...(await getOrderDetails(dispute.order_id)) });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch dispute");
+  }
+});
+
+const DISPUTE_RESOLUTION_MESSAGES = {
+  refund: (name, order) => ({
+    buyer: `↩️ The dispute on "${name}" was resolved in your favour and ${order.amount} ETB has been refunded to your balance.`,
+    seller: `❗️ The dispute on "${name}" was resolved in the buyer's favour and the payment was refunded to them.`,
+  }),
+  partial_refund: (name, order, dispute) => ({
+    buyer: `↩️ The dispute on "${name}" was resolved with a partial refund of ${dispute.refund_amount} ETB to your balance.`,
+    seller: `ℹ️ The dispute on "${name}" was resolved with a partial refund. ${sellerPayout(order, dispute.refund_amount).net} ETB has been credited to your balance.`,
+  }),
+  release: (name, order) => ({
+    buyer: `ℹ️ The dispute on "${name}" was resolved in the seller's favour and the order is now complete.`,
+    seller: `✅ The dispute on "${name}" was resolved in your favour and ${sellerPayout(order).net} ETB has been credited to your balance.`,
+  }),
+};
+
+// Settle a dispute as a full refund, a partial refund or a release to the seller
+router.post('/disputes/:id/resolve', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { resolution, refund_amount } = req.body;
+    const reason = requireReason(req);
+
+    const { dispute, order } = await db.transaction(async (tx) => {
+      const resolved = await resolveDispute(id, { resolution, refund_amount, admin_id: req.user.id, reason }, tx);
+      await recordAdminAction(tx, req, `dispute_resolve:${resolution}`, 'dispute', id, reason);
+      return resolved;
+    });
+
+    const { account, buyer, seller } = await getOrderDetails(order.id);
+    const messages = DISPUTE_RESOLUTION_MESSAGES[resolution](account.name, order, dispute);
+    await notifyUser(buyer.telegram_user_id, `${messages.buyer}\nReason: ${reason}`);
+    await notifyUser(seller.telegram_user_id, `${messages.seller}\nReason: ${reason}`);
+
+    res.json({ dispute, order });
+  } catch (error) {
+    sendError(res, error, "Failed to resolve dispute");
+  }
+});
+
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+    const reason = requireReason(req);
+    if (!['user', 'admin'].includes(role)) {
+      return res.status(400).json({ error: "Role must be 'user' or 'admin'" });
+    }
+
+    const user = await db.transaction(async (tx) => {
+      const result = await tx.update(users).set({ role }).where(eq(users.id, id)).returning();
+      if (result.length === 0) {
+        throw new HttpError(404, "User not found");
+      }
+      await recordAdminAction(tx, req, `user_role:${role}`, 'user', id, reason);
+      return result[0];
+    });
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, "Failed to update user role");
+  }
+});
+
+router.get('/escrow-accounts', async (req, res) => {
+  try {
+    const { provider, active } = req.query;
+    res.json(await listEscrowAccounts({
+      provider,
+      active: active === undefined ? undefined : active === 'true',
+    }));
+  } catch (error) {
+    sendError(res, error, "Failed to fetch escrow accounts");
+  }
+});
+
+router.post('/escrow-accounts', async (req, res) => {
+  try {
+    const reason = requireReason(req);
+    getProvider(req.body.provider);
+
+    const escrowAccount = await db.transaction(async (tx) => {
+      const created = await createEscrowAccount(req.body, tx);
+      await recordAdminAction(tx, req, 'escrow_account_create', 'escrow_account', created.id, reason);
+      return created;
+    });
+    res.status(201).json(escrowAccount);
+  } catch (error) {
+    sendError(res, error, "Failed to create escrow account");
+  }
+});
+
+// Edits an escrow account or takes it out of rotation with { active: false }
+router.put('/escrow-accounts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = requireReason(req);
+
+    const action = req.body.active === undefined ? 'escrow_account_update' : `escrow_account_active:${req.body.active}`;
+    const escrowAccount = await db.transaction(async (tx) => {
+      const updated = await updateEscrowAccount(id, req.body, tx);
+      await recordAdminAction(tx, req, action, 'escrow_account', id, reason);
+      return updated;
+    });
+    res.json(escrowAccount);
+  } catch (error) {
+    sendError(res, error, "Failed to update escrow account");
+  }
+});
+
+module.exports = router;
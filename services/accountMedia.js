@@ -0,0 +1,91 @@
+const { eq, and, asc, sql } = require('drizzle-orm');
+const { db } = require('../db');
+const { accounts, accountMedia } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+const { cloudinaryUploader, deleteFromCloudinary } = require('../utils/uploader');
+const logger = require('../utils/logger');
+
+const MAX_MEDIA_PER_ACCOUNT = 10;
+const MAX_CAPTION_LENGTH = 200;
+
+// A listing's gallery in display order
+function listAccountMedia(accountId, tx = db) {
+  return tx.select().from(accountMedia)
+    .where(eq(accountMedia.account_id, accountId))
+    .orderBy(asc(accountMedia.position), asc(accountMedia.created_at));
+}
+
+async function countMedia(tx, accountId) {
+  const result = await tx.select({ count: sql`count(*)` }).from(accountMedia).where(eq(accountMedia.account_id, accountId));
+  return parseInt(result[0].count);
+}
+
+// Removes images from Cloudinary. Failures are logged, not thrown, so a
+// leftover image never blocks removing its row.
+async function deleteImages(urls) {
+  for (const url of urls) {
+    try {
+      await deleteFromCloudinary(url);
+    } catch (error) {
+      logger.error('Failed to delete listing image', { url, error: error.message });
+    }
+  }
+}
+
+// Uploads an image and adds it to the end of the listing's gallery. Throws a
+// 409 once the gallery holds MAX_MEDIA_PER_ACCOUNT images.
+async function addAccountMedia(accountId, buffer, caption) {
+  if (!buffer || buffer.length === 0) {
+    throw new HttpError(400, "Send the image as the request body");
+  }
+  const cleanCaption = typeof caption === 'string' && caption.trim() ? caption.trim().slice(0, MAX_CAPTION_LENGTH) : null;
+  if (await countMedia(db, accountId) >= MAX_MEDIA_PER_ACCOUNT) {
+    throw new HttpError(409, `A listing can have at most ${MAX_MEDIA_PER_ACCOUNT} images`);
+  }
+
+  const url = await cloudinaryUploader(buffer);
+  try {
+    return await db.transaction(async (tx) => {
+      // Locking the listing keeps concurrent uploads from taking the same position
+      await tx.select({ id: accounts.id }).from(accounts).where(eq(accounts.id, accountId)).for('update');
+      const count = await countMedia(tx, accountId);
+      if (count >= MAX_MEDIA_PER_ACCOUNT) {
+        throw new HttpError(409, `A listing can have at most ${MAX_MEDIA_PER_ACCOUNT} images`);
+      }
+
+      const last = await tx.select({ position: sql`coalesce(max(${accountMedia.position}), 0)`.mapWith(Number) })
+        .from(accountMedia)
+        .where(eq(accountMedia.account_id, accountId));
+      const created = await tx.insert(accountMedia).values({
+        account_id: accountId,
+        url,
+        caption: cleanCaption,
+        position: last[0].position + 1,
+      }).returning();
+      return created[0];
+    });
+  } catch (error) {
+    await deleteImages([url]);
+    throw error;
+  }
+}
+
+// Removes one image from a listing's gallery and from Cloudinary
+async function removeAccountMedia(accountId, mediaId) {
+  const deleted = await db.delete(accountMedia)
+    .where(and(eq(accountMedia.account_id, accountId), eq(accountMedia.id, mediaId)))
+    .returning();
+  if (deleted.length === 0) {
+    throw new HttpError(404, "Image not found");
+  }
+  await deleteImages([deleted[0].url]);
+  return deleted[0];
+}
+
+module.exports = {
+  MAX_MEDIA_PER_ACCOUNT,
+  listAccountMedia,
+  addAccountMedia,
+  removeAccountMedia,
+  deleteImages,
+};
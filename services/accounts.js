@@ -0,0 +1,194 @@
+const { eq, and, gt, inArray } = require('drizzle-orm');
+const { db } = require('../db');
+const { accounts, accountMedia, orders, users } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+const { ACTIVE_ORDER_STATUSES, transitionOrder } = require('./orders');
+const { listAccountMedia, deleteImages } = require('./accountMedia');
+const { getPlatform } = require('./platforms');
+
+async function getAccount(id, tx = db) {
+  const result = await tx.select().from(accounts).where(eq(accounts.id, id));
+  if (result.length === 0) {
+    throw new HttpError(404, "Account not found");
+  }
+  return result[0];
+}
+
+// Orders on an account together with their buyers, in the shape the bot uses
+// to notify buyers ({ buyer: { telegram_user_id, username }, account: { name } })
+async function getAccountOrders(id, statuses, tx = db) {
+  const conditions = [eq(orders.account_id, id)];
+  if (statuses) {
+    conditions.push(inArray(orders.status, statuses));
+  }
+  return tx
+    .select({
+      order: orders,
+      buyer: users,
+      account: accounts
+    })
+    .from(orders)
+    .innerJoin(users, eq(orders.buyer_id, users.id))
+    .innerJoin(accounts, eq(orders.account_id, accounts.id))
+    .where(and(...conditions));
+}
+
+function toAffectedOrders(accountOrders) {
+  return accountOrders.map(o => ({
+    order_id: o.order.id,
+    buyer: {
+      telegram_user_id: o.buyer.telegram_user_id,
+      username: o.buyer.username
+    },
+    account: {
+      name: o.account.name
+    }
+  }));
+}
+
+// Orders whose handover is under way or contested; a listing with one of
+// these cannot be deleted
+const HANDOVER_ORDER_STATUSES = ['in_transfer', 'awaiting_buyer_confirmation', 'disputed'];
+
+// Deletes a listing and its gallery. Orders not yet handed over are cancelled
+// first, refunding what their buyers paid; actor is recorded on their order
+// events. Orders that took a payment are kept with their history, and so is
+// the listing they point at, as 'removed'; orders that never did are deleted.
+// Throws a 409 while an order is being handed over or disputed.
+async function deleteAccount(id, actor) {
+  await getAccount(id);
+  const media = await listAccountMedia(id);
+
+  const { deleted, activeOrders } = await db.transaction(async (tx) => {
+    // Locking the listing keeps new orders off it while it is deleted
+    await tx.select({ id: accounts.id }).from(accounts).where(eq(accounts.id, id)).for('update');
+    const locked = await tx.select().from(orders)
+      .where(and(eq(orders.account_id, id), inArray(orders.status, ACTIVE_ORDER_STATUSES)))
+      .for('update');
+    if (locked.some(o => HANDOVER_ORDER_STATUSES.includes(o.status))) {
+      throw new HttpError(409, "This listing has an order being handed over or disputed and cannot be deleted");
+    }
+
+    const activeOrders = await getAccountOrders(id, ACTIVE_ORDER_STATUSES, tx);
+    for (const order of locked) {
+      await transitionOrder(tx, order, 'cancelled', actor);
+    }
+
+    await tx.delete(orders).where(and(eq(orders.account_id, id), eq(orders.amount_paid, 0)));
+    const paid = await tx.select({ id: orders.id }).from(orders)
+      .where(and(eq(orders.account_id, id), gt(orders.amount_paid, 0)))
+      .limit(1);
+
+    let deletedAccount;
+    if (paid.length > 0) {
+      await tx.delete(accountMedia).where(eq(accountMedia.account_id, id));
+      deletedAccount = await tx.update(accounts)
+        .set({ status: 'removed', is_active: false, updated_at: new Date() })
+        .where(eq(accounts.id, id))
+        .returning();
+    } else {
+      deletedAccount = await tx.delete(accounts).where(eq(accounts.id, id)).returning();
+    }
+    return { deleted: deletedAccount[0], activeOrders };
+  });
+
+  // The gallery rows are gone with the transaction; their images follow
+  await deleteImages(media.map(m => m.url));
+
+  return { deleted, affectedOrders: toAffectedOrders(activeOrders) };
+}
+
+// Removes a listing from the marketplace without deleting it, so the record
+// stays available for review. Active orders are cancelled and refunded;
+// actor is recorded on their order events.
+async function takeDownAccount(id, actor, outer = db) {
+  await getAccount(id, outer);
+
+  const activeOrders = await getAccountOrders(id, ACTIVE_ORDER_STATUSES, outer);
+
+  const account = await outer.transaction(async (tx) => {
+    for (const o of activeOrders) {
+      const locked = await tx.select().from(orders).where(eq(orders.id, o.order.id)).for('update');
+      await transitionOrder(tx, locked[0], 'cancelled', actor);
+    }
+
+    const updated = await tx.update(accounts)
+      .set({ status: 'removed', is_active: false, updated_at: new Date() })
+      .where(eq(accounts.id, id))
+      .returning();
+    return updated[0];
+  });
+
+  return { account, affectedOrders: toAffectedOrders(activeOrders) };
+}
+
+// Sends a rejected listing back for moderation after the seller edited it.
+// One whose ownership must be proved again (its link changed) goes back to
+// 'unverified' and joins the queue once verified, unless its platform is
+// verified by the moderator anyway.
+async function resubmitAccount(id) {
+  const account = await getAccount(id);
+  if (account.status !== 'rejected') {
+    throw new HttpError(409, "Only rejected listings can be resubmitted");
+  }
+
+  const changes = { rejection_reason: null, updated_at: new Date() };
+  if (account.verified_at || getPlatform(account.platform).verification.method === 'manual') {
+    Object.assign(changes, { status: 'under_review', submitted_at: new Date() });
+  } else {
+    changes.status = 'unverified';
+  }
+  const updated = await db.update(accounts).set(changes).where(eq(accounts.id, id)).returning();
+  return updated[0];
+}
+
+// A moderator's decision on a listing in the review queue: 'approve' puts it
+// on sale, 'reject' sends it back to the seller with the reason. Approving
+// also confirms ownership of listings whose platform is verified manually;
+// any other listing must have been verified by its seller first.
+// Returns { account, owner }.
+async function reviewAccount(id, decision, { reviewer_id, reason }, outer = db) {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new HttpError(400, "Decision must be 'approve' or 'reject'");
+  }
+
+  return outer.transaction(async (tx) => {
+    const locked = await tx.select().from(accounts).where(eq(accounts.id, id)).for('update');
+    if (locked.length === 0) {
+      throw new HttpError(404, "Account not found");
+    }
+    if (locked[0].status !== 'under_review') {
+      throw new HttpError(409, `This listing is not waiting for review (it is ${locked[0].status})`);
+    }
+
+    let verified_at = locked[0].verified_at;
+    if (decision === 'approve' && !verified_at) {
+      if (getPlatform(locked[0].platform).verification.method !== 'manual') {
+        throw new HttpError(409, "The seller has not verified ownership of this listing yet");
+      }
+      verified_at = new Date();
+    }
+
+    const updated = await tx.update(accounts)
+      .set({
+        status: decision === 'approve' ? 'available' : 'rejected',
+        verified_at,
+        rejection_reason: decision === 'reject' ? reason : null,
+        reviewed_at: new Date(),
+        reviewed_by: reviewer_id,
+        updated_at: new Date(),
+      })
+      .where(eq(accounts.id, id))
+      .returning();
+    const owner = await tx.select().from(users).where(eq(users.id, updated[0].owner_id));
+    return { account: updated[0], owner: owner[0] };
+  });
+}
+
+module.exports = {
+  getAccount,
+  deleteAccount,
+  takeDownAccount,
+  resubmitAccount,
+  reviewAccount,
+};
@@ -0,0 +1,129 @@
+const { HttpError } = require('../utils/errors');
+
+// Banks and wallets sellers can be paid out to. Each has the account number
+// format payouts to it accept; phone numbers are stored as 09XXXXXXXX or
+// 07XXXXXXXX. aliases are other names people type for it.
+const BANKS = [
+  {
+    code: 'cbe',
+    name: 'Commercial Bank of Ethiopia',
+    type: 'bank',
+    aliases: ['CBE', 'Commercial Bank', 'CBE Bank'],
+    account_format: /^\d{13}$/,
+    format_hint: '13 digits',
+  },
+  {
+    code: 'awash',
+    name: 'Awash Bank',
+    type: 'bank',
+    aliases: ['Awash'],
+    account_format: /^\d{14}$/,
+    format_hint: '14 digits',
+  },
+  {
+    code: 'dashen',
+    name: 'Dashen Bank',
+    type: 'bank',
+    aliases: ['Dashen'],
+    account_format: /^\d{13}$/,
+    format_hint: '13 digits',
+  },
+  {
+    code: 'boa',
+    name: 'Bank of Abyssinia',
+    type: 'bank',
+    aliases: ['BOA', 'Abyssinia'],
+    account_format: /^\d{8,10}$/,
+    format_hint: '8 to 10 digits',
+  },
+  {
+    code: 'telebirr',
+    name: 'Telebirr',
+    type: 'wallet',
+    aliases: ['Tele birr'],
+    phone_prefix: '9',
+    account_format: /^09\d{8}$/,
+    format_hint: 'an Ethio Telecom mobile number, e.g. 0911234567',
+  },
+  {
+    code: 'mpesa',
+    name: 'M-PESA',
+    type: 'wallet',
+    aliases: ['MPESA', 'M PESA', 'Safaricom M-PESA'],
+    phone_prefix: '7',
+    account_format: /^07\d{8}$/,
+    format_hint: 'a Safaricom mobile number, e.g. 0711234567',
+  },
+];
+
+function normalizeName(name) {
+  return String(name).trim().replace(/[\s-]+/g, ' ').toUpperCase();
+}
+
+// Public description of the catalogue, for GET /banks and the bot
+function listBanks() {
+  return BANKS.map(({ code, name, type, format_hint }) => ({ code, name, type, format_hint }));
+}
+
+// The catalogue entry for a code, name or alias, or undefined
+function findBank(value) {
+  if (!value) return undefined;
+  const wanted = normalizeName(value);
+  return BANKS.find(b => b.code.toUpperCase() === wanted
+    || normalizeName(b.name) === wanted
+    || b.aliases.some(a => normalizeName(a) === wanted));
+}
+
+// Mobile numbers in any common form (+251 91..., 25191..., 91...) become 091...
+function normalizeAccountNumber(bank, value) {
+  const digits = String(value).replace(/[\s-]+/g, '');
+  if (!bank.phone_prefix) return digits;
+  const local = digits.replace(/^\+?251/, '').replace(/^0/, '');
+  return local.startsWith(bank.phone_prefix) ? `0${local}` : digits;
+}
+
+// Checks payout details against the catalogue and returns them cleaned up,
+// with bank_name set to the catalogue name. The bank may be given as bank_code
+// or bank_name. Throws a 400 whose details.fields has a message per bad field.
+function validateBankDetails({ bank_code, bank_name, account_holder_name, account_number }) {
+  const fields = {};
+  const bank = findBank(bank_code || bank_name);
+  if (!bank_code && !bank_name) {
+    fields.bank_code = "Choose a bank or wallet";
+  } else if (!bank) {
+    fields.bank_code = `'${bank_code || bank_name}' is not a supported bank or wallet, see GET /banks`;
+  }
+
+  const holder = account_holder_name === undefined ? '' : String(account_holder_name).trim().replace(/\s+/g, ' ');
+  if (!holder) {
+    fields.account_holder_name = "Enter the name on the account";
+  } else if (!/^[\p{L}][\p{L}.' ]*$/u.test(holder) || holder.split(' ').length < 2) {
+    fields.account_holder_name = "Enter the account holder's full name, in letters only";
+  }
+
+  let number = '';
+  if (account_number === undefined || account_number === null || String(account_number).trim() === '') {
+    fields.account_number = "Enter the account number";
+  } else if (bank) {
+    number = normalizeAccountNumber(bank, account_number);
+    if (!bank.account_format.test(number)) {
+      fields.account_number = `${bank.name} ${bank.type === 'wallet' ? 'numbers' : 'account numbers'} must be ${bank.format_hint}`;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, Object.values(fields).join('. '), { fields });
+  }
+  return {
+    bank_code: bank.code,
+    bank_name: bank.name,
+    account_holder_name: holder,
+    account_number: number,
+  };
+}
+
+module.exports = {
+  listBanks,
+  findBank,
+  validateBankDetails,
+};
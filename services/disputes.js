@@ -0,0 +1,144 @@
+const { eq, and, asc, desc } = require('drizzle-orm');
+const { db } = require('../db');
+const { accounts, orders, disputes, disputeEvidence } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+const { transitionOrder } = require('./orders');
+
+// What an admin can decide, and the order status each one settles on
+const DISPUTE_RESOLUTIONS = {
+  refund: 'cancelled',
+  partial_refund: 'completed',
+  release: 'completed',
+};
+
+async function getDispute(id) {
+  const result = await db.select().from(disputes).where(eq(disputes.id, id));
+  if (result.length === 0) {
+    throw new HttpError(404, "Dispute not found");
+  }
+  return result[0];
+}
+
+// A dispute with its evidence, oldest first
+async function getDisputeWithEvidence(id) {
+  const dispute = await getDispute(id);
+  const evidence = await db.select().from(disputeEvidence)
+    .where(eq(disputeEvidence.dispute_id, id))
+    .orderBy(asc(disputeEvidence.created_at));
+  return { ...dispute, evidence };
+}
+
+// The latest dispute on an order with its evidence, or null
+async function getOrderDispute(orderId) {
+  const result = await db.select().from(disputes)
+    .where(eq(disputes.order_id, orderId))
+    .orderBy(desc(disputes.created_at))
+    .limit(1);
+  if (result.length === 0) return null;
+  return getDisputeWithEvidence(result[0].id);
+}
+
+// Opens a dispute on an active order for its buyer or seller and freezes the
+// order in 'disputed' until an admin resolves it
+async function openDispute({ order_id, user_id, reason }) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new HttpError(400, "Please describe the problem");
+  }
+
+  return db.transaction(async (tx) => {
+    const orderArr = await tx.select().from(orders).where(eq(orders.id, order_id)).for('update');
+    if (orderArr.length === 0) {
+      throw new HttpError(404, "Order not found");
+    }
+    const order = orderArr[0];
+    const accountArr = await tx.select().from(accounts).where(eq(accounts.id, order.account_id));
+
+    let opener_role;
+    if (order.buyer_id === user_id) opener_role = 'buyer';
+    else if (accountArr[0]?.owner_id === user_id) opener_role = 'seller';
+    else throw new HttpError(403, "You are not a party to this order");
+
+    await transitionOrder(tx, order, 'disputed', { actor_type: opener_role, actor_id: user_id, reason: reason.trim() }, { via: 'dispute' });
+
+    const dispute = await tx.insert(disputes).values({
+      order_id,
+      opened_by: user_id,
+      opener_role,
+      reason: reason.trim(),
+    }).returning();
+    return dispute[0];
+  });
+}
+
+// Attaches a message or photo to an open dispute
+async function addEvidence(disputeId, user_id, { type, text, file_id }) {
+  if (type === 'text' && !text) {
+    throw new HttpError(400, "Text evidence needs a message");
+  }
+  if (type === 'photo' && !file_id) {
+    throw new HttpError(400, "Photo evidence needs a file_id");
+  }
+  if (type !== 'text' && type !== 'photo') {
+    throw new HttpError(400, "Evidence type must be 'text' or 'photo'");
+  }
+
+  const dispute = await getDispute(disputeId);
+  if (dispute.status !== 'open') {
+    throw new HttpError(409, "This dispute has already been resolved");
+  }
+
+  const evidence = await db.insert(disputeEvidence).values({
+    dispute_id: disputeId,
+    user_id,
+    type,
+    text: text || null,
+    file_id: file_id || null,
+  }).returning();
+  return evidence[0];
+}
+
+// Settles an open dispute: a full refund cancels the order, a release or a
+// partial refund completes it. The order transition closes the dispute.
+async function resolveDispute(id, { resolution, refund_amount, admin_id, reason }, outer = db) {
+  if (!DISPUTE_RESOLUTIONS[resolution]) {
+    throw new HttpError(400, "Resolution must be 'refund', 'partial_refund' or 'release'");
+  }
+
+  return outer.transaction(async (tx) => {
+    const disputeArr = await tx.select().from(disputes).where(eq(disputes.id, id)).for('update');
+    if (disputeArr.length === 0) {
+      throw new HttpError(404, "Dispute not found");
+    }
+    if (disputeArr[0].status !== 'open') {
+      throw new HttpError(409, "This dispute has already been resolved");
+    }
+
+    const orderArr = await tx.select().from(orders).where(eq(orders.id, disputeArr[0].order_id)).for('update');
+    const order = orderArr[0];
+
+    let amount = 0;
+    if (resolution === 'partial_refund') {
+      amount = Number(refund_amount);
+      if (!Number.isInteger(amount) || amount <= 0 || amount >= order.amount) {
+        throw new HttpError(400, `Partial refund must be a whole number between 1 and ${order.amount - 1}`);
+      }
+    }
+
+    const updatedOrder = await transitionOrder(tx, order, DISPUTE_RESOLUTIONS[resolution],
+      { actor_type: 'admin', actor_id: admin_id, reason },
+      { refund_amount: amount });
+
+    const resolved = await tx.select().from(disputes).where(eq(disputes.id, id));
+    return { dispute: resolved[0], order: updatedOrder };
+  });
+}
+
+module.exports = {
+  DISPUTE_RESOLUTIONS,
+  getDispute,
+  getDisputeWithEvidence,
+  getOrderDispute,
+  openDispute,
+  addEvidence,
+  resolveDispute,
+};
@@ -0,0 +1,41 @@
+// Platform commission on sales. Every sale pays COMMISSION_PERCENT of its
+// price unless COMMISSION_RULES (JSON) has a rule for the account's platform
+// type or a 'default' one. A rule is either a flat { "percent": 5 } or price
+// tiers, where the first tier whose up_to covers the price applies to the
+// whole price and a last tier without up_to catches the rest:
+//
+//   { "youtube_channel": { "tiers": [{ "up_to": 5000, "percent": 10 }, { "percent": 7 }] },
+//     "default": { "percent": 5 } }
+const COMMISSION_PERCENT = parseFloat(process.env.COMMISSION_PERCENT) || 0;
+const COMMISSION_RULES = process.env.COMMISSION_RULES ? JSON.parse(process.env.COMMISSION_RULES) : {};
+
+function commissionPercent(platform, price) {
+  const rule = COMMISSION_RULES[platform] || COMMISSION_RULES.default;
+  if (!rule) return COMMISSION_PERCENT;
+  if (!rule.tiers) return rule.percent;
+
+  const tier = rule.tiers.find(t => t.up_to === undefined || price <= t.up_to);
+  return tier ? tier.percent : COMMISSION_PERCENT;
+}
+
+// Commission in whole birr on a sale of the given platform type and price
+function calculateFee(platform, price) {
+  const fee = Math.round(price * commissionPercent(platform, price) / 100);
+  return Math.min(Math.max(fee, 0), price);
+}
+
+// What a seller receives for a listing at its current price
+function feeBreakdown(platform, price) {
+  const fee = calculateFee(platform, price);
+  return {
+    price,
+    commission_percent: commissionPercent(platform, price),
+    fee,
+    net_amount: price - fee,
+  };
+}
+
+module.exports = {
+  calculateFee,
+  feeBreakdown,
+};
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { eq, and, or, sql, desc, inArray } = require('drizzle-orm');
+const { users, orders, ledgerEntries } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+
+// Ledger accounts:
+//  external - money outside the platform (incoming payments, outgoing payouts)
+//  escrow   - buyer payments held until an order settles
+//  seller   - a user's balance from sales
+//  buyer    - a user's balance from refunds
+//  fee      - platform revenue
+const BALANCE_ACCOUNTS = ['seller', 'buyer'];
+
+// Posts one balanced ledger transaction and keeps users.balance in sync.
+// Must run inside a db transaction. Throws a 409 when a debit would take a
+// user's balance below zero.
+async function postTransaction(tx, { type, order_id = null, withdrawal_id = null, entries }) {
+  const total = entries.reduce((sum, e) => sum + e.amount, 0);
+  if (total !== 0) {
+    throw new Error(`Unbalanced ledger transaction (${type}): entries sum to ${total}`);
+  }
+  if (entries.some(e => !Number.isInteger(e.amount))) {
+    throw new Error(`Ledger amounts must be whole numbers (${type})`);
+  }
+
+  const transaction_id = crypto.randomUUID();
+  const rows = entries
+    .filter(e => e.amount !== 0)
+    .map(e => ({
+      transaction_id,
+      type,
+      account: e.account,
+      user_id: e.user_id || null,
+      order_id,
+      withdrawal_id,
+      amount: e.amount,
+    }));
+  if (rows.length === 0) return transaction_id;
+
+  await tx.insert(ledgerEntries).values(rows);
+
+  // Apply the net change per user to the cached balance in one guarded update
+  const deltas = {};
+  for (const row of rows) {
+    if (!BALANCE_ACCOUNTS.includes(row.account)) continue;
+    if (!row.user_id) {
+      throw new Error(`Balance entry without a user (${type})`);
+    }
+    deltas[row.user_id] = (deltas[row.user_id] || 0) + row.amount;
+  }
+
+  for (const [userId, delta] of Object.entries(deltas)) {
+    const updated = await tx.update(users)
+      .set({ balance: sql`coalesce(${users.balance}, 0) + ${delta}` })
+      .where(and(
+        eq(users.id, userId),
+        sql`coalesce(${users.balance}, 0) + ${delta} >= 0`
+      ))
+      .returning({ id: users.id });
+    if (updated.length === 0) {
+      throw new HttpError(409, "Insufficient balance");
+    }
+  }
+
+  return transaction_id;
+}
+
+// Buyer paid for an order from outside the platform: the money goes into
+// escrow. amount is less than the price for a payment that fell short.
+function recordOrderPayment(tx, order, amount = order.amount) {
+  return postTransaction(tx, {
+    type: 'payment',
+    order_id: order.id,
+    entries: [
+      { account: 'external', amount: -amount },
+      { account: 'escrow', amount },
+    ],
+  });
+}
+
+// Buyer paid for an order from their balance: the money moves into escrow,
+// taken from their refunds first and then from their sale proceeds.
+// Throws a 409 if the balance does not cover it.
+async function payFromBalance(tx, order, amount) {
+  return postTransaction(tx, {
+    type: 'balance_payment',
+    order_id: order.id,
+    entries: [
+      ...await balanceDebits(tx, order.buyer_id, amount, ['buyer', 'seller']),
+      { account: 'escrow', amount },
+    ],
+  });
+}
+
+// Buyer paid more than the order needed: the excess goes to their balance
+function creditOverpayment(tx, order, amount) {
+  return postTransaction(tx, {
+    type: 'overpayment',
+    order_id: order.id,
+    entries: [
+      { account: 'external', amount: -amount },
+      { account: 'buyer', user_id: order.buyer_id, amount },
+    ],
+  });
+}
+
+// Order completed: release the escrowed payment (or the part of it that was
+// not refunded after a dispute) to the seller's balance, less the platform fee
+function releaseToSeller(tx, order, sellerId, amount = order.amount, fee = 0) {
+  return postTransaction(tx, {
+    type: 'release',
+    order_id: order.id,
+    entries: [
+      { account: 'escrow', amount: -amount },
+      { account: 'seller', user_id: sellerId, amount: amount - fee },
+      { account: 'fee', amount: fee },
+    ],
+  });
+}
+
+// Order cancelled or partly refunded: return the escrowed payment to the
+// buyer's balance
+function refundToBuyer(tx, order, amount = order.amount) {
+  return postTransaction(tx, {
+    type: 'refund',
+    order_id: order.id,
+    entries: [
+      { account: 'escrow', amount: -amount },
+      { account: 'buyer', user_id: order.buyer_id, amount },
+    ],
+  });
+}
+
+// What a user holds in each of their balance accounts, e.g. { seller: 700, buyer: 300 }
+async function getBalanceAccounts(tx, userId) {
+  const rows = await tx.select({
+    account: ledgerEntries.account,
+    balance: sql`coalesce(sum(${ledgerEntries.amount}), 0)`.mapWith(Number),
+  })
+    .from(ledgerEntries)
+    .where(and(eq(ledgerEntries.user_id, userId), inArray(ledgerEntries.account, BALANCE_ACCOUNTS)))
+    .groupBy(ledgerEntries.account);
+  return Object.fromEntries(rows.map(r => [r.account, r.balance]));
+}
+
+// Entries taking amount off a user's balance, drawn from their balance
+// accounts in the given order, each only up to what it holds, so none of
+// them goes negative. Throws a 409 if together they do not cover it. The
+// caller must hold the user's row lock.
+async function balanceDebits(tx, userId, amount, order) {
+  const balances = await getBalanceAccounts(tx, userId);
+  const entries = [];
+  let left = amount;
+  for (const account of order) {
+    const taken = Math.min(left, Math.max(balances[account] || 0, 0));
+    if (taken > 0) {
+      entries.push({ account, user_id: userId, amount: -taken });
+      left -= taken;
+    }
+  }
+  if (left > 0) {
+    throw new HttpError(409, "Insufficient balance");
+  }
+  return entries;
+}
+
+// Withdrawal requested: the amount leaves the user's balance, less the
+// withdrawal fee which goes to the platform. It is taken from the account
+// its reason names first, then from the other one.
+async function debitForWithdrawal(tx, withdrawal) {
+  const order = withdrawal.reason === 'order_refund' ? ['buyer', 'seller'] : ['seller', 'buyer'];
+  const fee = withdrawal.fee_amount || 0;
+  return postTransaction(tx, {
+    type: 'payout',
+    withdrawal_id: withdrawal.id,
+    entries: [
+      ...await balanceDebits(tx, withdrawal.user_id, withdrawal.amount, order),
+      { account: 'external', amount: withdrawal.amount - fee },
+      { account: 'fee', amount: fee },
+    ],
+  });
+}
+
+// Withdrawal rejected: give the whole amount back, fee included, to the
+// balance accounts it was taken from. Withdrawals requested before the ledger
+// existed have no payout entries and go back to the account their reason names.
+async function reverseWithdrawal(tx, withdrawal) {
+  const fee = withdrawal.fee_amount || 0;
+  let debits = await tx.select({ account: ledgerEntries.account, amount: ledgerEntries.amount })
+    .from(ledgerEntries)
+    .where(and(
+      eq(ledgerEntries.withdrawal_id, withdrawal.id),
+      eq(ledgerEntries.type, 'payout'),
+      inArray(ledgerEntries.account, BALANCE_ACCOUNTS)
+    ));
+  if (debits.length === 0) {
+    debits = [{ account: withdrawal.reason === 'order_refund' ? 'buyer' : 'seller', amount: -withdrawal.amount }];
+  }
+  return postTransaction(tx, {
+    type: 'payout_reversal',
+    withdrawal_id: withdrawal.id,
+    entries: [
+      { account: 'external', amount: -(withdrawal.amount - fee) },
+      { account: 'fee', amount: -fee },
+      ...debits.map(d => ({ account: d.account, user_id: withdrawal.user_id, amount: -d.amount })),
+    ],
+  });
+}
+
+// A user's money movements, newest first: changes to their balance, plus the
+// payments they made into escrow for their orders
+async function getUserTransactions(db, userId, { limit = 20, offset = 0 } = {}) {
+  return db.select({
+    transaction_id: ledgerEntries.transaction_id,
+    type: ledgerEntries.type,
+    account: ledgerEntries.account,
+    amount: ledgerEntries.amount,
+    order_id: ledgerEntries.order_id,
+    withdrawal_id: ledgerEntries.withdrawal_id,
+    created_at: ledgerEntries.created_at,
+  })
+    .from(ledgerEntries)
+    .leftJoin(orders, eq(ledgerEntries.order_id, orders.id))
+    .where(or(
+      and(eq(ledgerEntries.user_id, userId), inArray(ledgerEntries.account, BALANCE_ACCOUNTS)),
+      and(eq(ledgerEntries.type, 'payment'), eq(ledgerEntries.account, 'escrow'), eq(orders.buyer_id, userId))
+    ))
+    .orderBy(desc(ledgerEntries.created_at))
+    .limit(limit)
+    .offset(offset);
+}
+
+// Balance of each user according to the ledger, for reconciliation against users.balance
+async function getLedgerBalances(db, userIds) {
+  const conditions = [inArray(ledgerEntries.account, BALANCE_ACCOUNTS)];
+  if (userIds) {
+    conditions.push(inArray(ledgerEntries.user_id, userIds));
+  }
+  const rows = await db.select({
+    user_id: ledgerEntries.user_id,
+    balance: sql`coalesce(sum(${ledgerEntries.amount}), 0)`.mapWith(Number),
+  })
+    .from(ledgerEntries)
+    .where(and(...conditions))
+    .groupBy(ledgerEntries.user_id);
+  return Object.fromEntries(rows.map(r => [r.user_id, r.balance]));
+}
+
+module.exports = {
+  BALANCE_ACCOUNTS,
+  postTransaction,
+  recordOrderPayment,
+  payFromBalance,
+  creditOverpayment,
+  releaseToSeller,
+  refundToBuyer,
+  debitForWithdrawal,
+  reverseWithdrawal,
+  getUserTransactions,
+  getLedgerBalances,
+};
@@ -0,0 +1,443 @@
+const { eq, and, asc, lt } = require('drizzle-orm');
+const { db } = require('../db');
+const { accounts, orders, orderEvents, disputes, users } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+const { recordOrderPayment, payFromBalance, creditOverpayment, releaseToSeller, refundToBuyer } = require('./ledger');
+const { convertReservation, relistedStatus } = require('./reservations');
+const { syncTransfer } = require('./transfers');
+const { claimReceipt } = require('./payments');
+const { calculateFee } = require('./fees');
+const { notifyUser } = require('../utils/notifier');
+const logger = require('../utils/logger');
+
+async function getOrder(id) {
+  const result = await db.select().from(orders).where(eq(orders.id, id));
+  if (result.length === 0) {
+    throw new HttpError(404, "Order not found");
+  }
+  return result[0];
+}
+
+// Loads an order with its account, buyer and seller
+async function getOrderDetails(id) {
+  const result = await db.select().from(orders)
+    .where(eq(orders.id, id))
+    .innerJoin(users, eq(orders.buyer_id, users.id))
+    .innerJoin(accounts, eq(orders.account_id, accounts.id));
+
+  if (result.length === 0) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  const orderResult = result[0];
+  const sellerRes = await db.select().from(users).where(eq(users.id, orderResult.accounts.owner_id));
+
+  if (sellerRes.length === 0) {
+    throw new HttpError(404, "Seller not found for this order");
+  }
+
+  return {
+    order: orderResult.orders,
+    account: orderResult.accounts,
+    buyer: orderResult.users,
+    seller: sellerRes[0]
+  };
+}
+
+// How long the buyer has to confirm or report a problem before the order
+// completes on its own, and how often that is checked
+const BUYER_CONFIRMATION_HOURS = parseInt(process.env.BUYER_CONFIRMATION_HOURS) || 72;
+const CONFIRMATION_SWEEP_SECONDS = parseInt(process.env.CONFIRMATION_SWEEP_SECONDS) || 300;
+
+// How long a buyer whose payment fell short has to send the rest
+const TOPUP_HOURS = parseInt(process.env.TOPUP_HOURS) || 24;
+
+// Orders whose payment is still held in escrow
+const ACTIVE_ORDER_STATUSES = ['awaiting_topup', 'pending', 'in_transfer', 'awaiting_buyer_confirmation', 'disputed'];
+
+// Allowed moves for an order and who may make each one. 'system' covers the
+// bot's automated steps and background jobs.
+const ORDER_TRANSITIONS = {
+  // The first payment fell short; only topUpOrder makes it pending, once the
+  // price is covered
+  awaiting_topup: {
+    pending: ['system'],
+    cancelled: ['buyer', 'admin', 'system'],
+    failed: ['admin', 'system'],
+  },
+  pending: {
+    in_transfer: ['seller', 'admin'],
+    completed: ['admin'],
+    cancelled: ['buyer', 'admin', 'system'],
+    failed: ['admin', 'system'],
+    disputed: ['buyer', 'seller'],
+  },
+  in_transfer: {
+    awaiting_buyer_confirmation: ['seller', 'admin'],
+    completed: ['admin'],
+    cancelled: ['admin', 'system'],
+    failed: ['seller', 'admin', 'system'],
+    disputed: ['buyer', 'seller'],
+  },
+  awaiting_buyer_confirmation: {
+    completed: ['buyer', 'admin', 'system'],
+    cancelled: ['admin', 'system'],
+    failed: ['admin', 'system'],
+    disputed: ['buyer', 'seller'],
+  },
+  // Payout is frozen until an admin settles the dispute
+  disputed: {
+    completed: ['admin'],
+    cancelled: ['admin'],
+  },
+  completed: {},
+  cancelled: {},
+  failed: {},
+};
+
+// Split of a completed order's escrow: amount goes to the seller side, of
+// which fee is the platform's cut and net what the seller receives. A partial
+// refund shrinks the amount and the fee in proportion.
+function sellerPayout(order, refund_amount = 0) {
+  const amount = order.amount - refund_amount;
+  const fee = refund_amount > 0 ? Math.round(order.fee_amount * amount / order.amount) : order.fee_amount;
+  return { amount, fee, net: amount - fee };
+}
+
+async function recordOrderEvent(tx, { order_id, from_status = null, to_status, actor_type, actor_id = null, reason = null }) {
+  const event = await tx.insert(orderEvents).values({
+    order_id,
+    from_status,
+    to_status,
+    actor_type,
+    actor_id,
+    reason,
+  }).returning();
+  return event[0];
+}
+
+// Moves a locked order to a new status inside the caller's transaction and
+// records the event. Completing marks the account sold and releases escrow to
+// the seller, less the platform fee and refund_amount which goes back to the
+// buyer; cancelling or
+// failing refunds what the buyer paid and puts the account back on the market. The
+// order's transfer record follows along, and leaving 'disputed' resolves the
+// open dispute accordingly. actor is { actor_type, actor_id, reason }. Only
+// openDispute, which passes via: 'dispute', may move an order to 'disputed'.
+async function transitionOrder(tx, order, status, actor, { refund_amount = 0, via } = {}) {
+  const allowed = ORDER_TRANSITIONS[order.status] || {};
+  if (!allowed[status]) {
+    throw new HttpError(409, `Cannot move a ${order.status} order to ${status}`);
+  }
+  if (!allowed[status].includes(actor.actor_type)) {
+    throw new HttpError(403, `The ${actor.actor_type} cannot move a ${order.status} order to ${status}`);
+  }
+  if (status === 'disputed' && via !== 'dispute') {
+    throw new HttpError(409, "Open a dispute to dispute an order");
+  }
+  if (!Number.isInteger(refund_amount) || refund_amount < 0 || refund_amount >= order.amount) {
+    throw new HttpError(400, `Refund amount must be a whole number between 0 and ${order.amount - 1}`);
+  }
+  // Escrow only holds amount_paid until the top-up covers the price
+  if (order.status === 'awaiting_topup' && status === 'pending' && order.amount_paid < order.amount) {
+    throw new HttpError(409, "This order is not fully paid yet");
+  }
+
+  const changes = { status, updated_at: new Date() };
+  if (status === 'awaiting_buyer_confirmation') {
+    changes.confirmation_deadline = new Date(Date.now() + BUYER_CONFIRMATION_HOURS * 60 * 60 * 1000);
+  }
+  const result = await tx.update(orders)
+    .set(changes)
+    .where(eq(orders.id, order.id))
+    .returning();
+
+  if (status === 'completed') {
+    const accountArr = await tx.select().from(accounts).where(eq(accounts.id, order.account_id));
+    if (!accountArr.length) {
+      throw new HttpError(404, "Account not found for payout");
+    }
+    await tx.update(accounts).set({ status: 'sold' }).where(eq(accounts.id, order.account_id));
+    if (refund_amount > 0) {
+      await refundToBuyer(tx, order, refund_amount);
+    }
+    const payout = sellerPayout(order, refund_amount);
+    await releaseToSeller(tx, order, accountArr[0].owner_id, payout.amount, payout.fee);
+  } else if (status === 'cancelled' || status === 'failed') {
+    await tx.update(accounts).set({ status: relistedStatus }).where(eq(accounts.id, order.account_id));
+    await refundToBuyer(tx, order, order.amount_paid);
+  }
+
+  await syncTransfer(tx, order, status, actor.reason);
+
+  if (order.status === 'disputed') {
+    let resolution = 'release';
+    if (status !== 'completed') resolution = 'refund';
+    else if (refund_amount > 0) resolution = 'partial_refund';
+
+    await tx.update(disputes)
+      .set({
+        status: 'resolved',
+        resolution,
+        refund_amount: resolution === 'refund' ? order.amount : refund_amount,
+        resolved_by: actor.actor_id || null,
+        resolution_note: actor.reason || null,
+        resolved_at: new Date(),
+      })
+      .where(and(eq(disputes.order_id, order.id), eq(disputes.status, 'open')));
+  }
+
+  await recordOrderEvent(tx, {
+    order_id: order.id,
+    from_status: order.status,
+    to_status: status,
+    ...actor,
+  });
+
+  return result[0];
+}
+
+// Sets an order's status if the move is allowed for the actor. Throws a 409
+// for an illegal move and a 403 when the actor may not make it. Pass a
+// transaction as outer to run it inside the caller's.
+async function updateOrderStatus(id, status, actor, outer = db) {
+  if (!ORDER_TRANSITIONS[status]) {
+    throw new HttpError(400, `Unknown order status: ${status}`);
+  }
+  return outer.transaction(async (tx) => {
+    const existing = await tx.select().from(orders).where(eq(orders.id, id)).for('update');
+    if (existing.length === 0) {
+      throw new HttpError(404, "Order not found");
+    }
+    return transitionOrder(tx, existing[0], status, actor);
+  });
+}
+
+// Cancels an order: refunds the buyer's balance from escrow and puts the
+// account back on the market. Returns the cancelled order.
+function cancelOrder(id, actor, tx = db) {
+  return updateOrderStatus(id, 'cancelled', actor, tx);
+}
+
+// Status history of an order, oldest first
+async function getOrderEvents(id) {
+  return db.select().from(orderEvents)
+    .where(eq(orderEvents.order_id, id))
+    .orderBy(asc(orderEvents.created_at));
+}
+
+// Completes orders whose buyer neither confirmed nor reported a problem
+// before the deadline. Returns the completed orders.
+async function completeOverdueOrders() {
+  const overdue = await db.select({ id: orders.id }).from(orders)
+    .where(and(
+      eq(orders.status, 'awaiting_buyer_confirmation'),
+      lt(orders.confirmation_deadline, new Date())
+    ));
+
+  const completed = [];
+  for (const { id } of overdue) {
+    const order = await db.transaction(async (tx) => {
+      const locked = await tx.select().from(orders).where(eq(orders.id, id)).for('update');
+      // The buyer may have confirmed or disputed in the meantime
+      if (locked[0]?.status !== 'awaiting_buyer_confirmation') return null;
+      return transitionOrder(tx, locked[0], 'completed', {
+        actor_type: 'system',
+        reason: `No problem reported within ${BUYER_CONFIRMATION_HOURS} hours`,
+      });
+    });
+    if (order) completed.push(order);
+  }
+  return completed;
+}
+
+// Cancels orders whose buyer did not top up a short payment in time, refunding
+// what they paid to their balance. Returns the cancelled orders.
+async function cancelOverdueTopups() {
+  const overdue = await db.select({ id: orders.id }).from(orders)
+    .where(and(
+      eq(orders.status, 'awaiting_topup'),
+      lt(orders.topup_deadline, new Date())
+    ));
+
+  const cancelled = [];
+  for (const { id } of overdue) {
+    const order = await db.transaction(async (tx) => {
+      const locked = await tx.select().from(orders).where(eq(orders.id, id)).for('update');
+      // The buyer may have topped up or cancelled in the meantime
+      if (locked[0]?.status !== 'awaiting_topup') return null;
+      return transitionOrder(tx, locked[0], 'cancelled', {
+        actor_type: 'system',
+        reason: `Not topped up within ${TOPUP_HOURS} hours`,
+      });
+    });
+    if (order) cancelled.push(order);
+  }
+  return cancelled;
+}
+
+// Runs completeOverdueOrders and cancelOverdueTopups now and then every
+// CONFIRMATION_SWEEP_SECONDS, letting the parties know
+function startConfirmationSweeper() {
+  const sweep = async () => {
+    try {
+      const completed = await completeOverdueOrders();
+      for (const order of completed) {
+        const { account, buyer, seller } = await getOrderDetails(order.id);
+        await notifyUser(buyer.telegram_user_id,
+          `✅ Your order for "${account.name}" was completed automatically as no problem was reported within ${BUYER_CONFIRMATION_HOURS} hours.`);
+        await notifyUser(seller.telegram_user_id,
+          `🎉 The order for "${account.name}" is complete. ${sellerPayout(order).net} ETB has been credited to your balance.`);
+      }
+      if (completed.length > 0) {
+        logger.info('Auto-completed orders past their confirmation deadline', { count: completed.length });
+      }
+
+      const cancelled = await cancelOverdueTopups();
+      for (const order of cancelled) {
+        const { account, buyer } = await getOrderDetails(order.id);
+        await notifyUser(buyer.telegram_user_id,
+          `❌ Your order for "${account.name}" was cancelled as the rest of the payment did not arrive within ${TOPUP_HOURS} hours. ` +
+          `The ${order.amount_paid} ETB you paid has been refunded to your balance, see /balance.`);
+      }
+      if (cancelled.length > 0) {
+        logger.info('Cancelled orders past their top-up deadline', { count: cancelled.length });
+      }
+    } catch (error) {
+      logger.error('Error sweeping order deadlines', { error: error.message, stack: error.stack });
+    }
+  };
+  sweep();
+  return setInterval(sweep, CONFIRMATION_SWEEP_SECONDS * 1000);
+}
+
+// Whole birr of a verified payment; the ledger does not hold fractions
+function paidAmount(payment) {
+  return Math.floor(payment.amount);
+}
+
+// Creates an order paid by a verified payment, the buyer's balance, or both,
+// and moves the money into escrow. The receipt is claimed and applied first;
+// with use_balance the balance covers as much of the rest as it can. A
+// payment above amount credits the excess to the buyer's balance; anything
+// still unpaid leaves the order awaiting a top-up. Returns { order, credited }.
+async function createOrder({ buyer_id, account_id, amount, payment = null, use_balance = false }) {
+  if (!payment && !use_balance) {
+    throw new HttpError(400, "A payment or use_balance is required");
+  }
+
+  return db.transaction(async (tx) => {
+    // The account was reserved by the buyer; the hold becomes this order
+    await convertReservation(tx, account_id, buyer_id);
+
+    const accountArr = await tx.select().from(accounts).where(eq(accounts.id, account_id));
+    const paid = payment ? paidAmount(payment) : 0;
+
+    let fromBalance = 0;
+    if (use_balance) {
+      const buyer = await tx.select().from(users).where(eq(users.id, buyer_id)).for('update');
+      fromBalance = Math.max(Math.min(buyer[0].balance || 0, amount - paid), 0);
+      if (!payment && fromBalance === 0) {
+        throw new HttpError(409, "Your balance is empty");
+      }
+    }
+
+    const covered = paid + fromBalance;
+    const short = covered < amount;
+    const newOrder = await tx.insert(orders).values({
+      buyer_id,
+      account_id,
+      amount,
+      amount_paid: Math.min(covered, amount),
+      fee_amount: calculateFee(accountArr[0].platform, amount),
+      receipt_no: payment ? payment.reference : null,
+      status: short ? 'awaiting_topup' : 'pending',
+      topup_deadline: short ? new Date(Date.now() + TOPUP_HOURS * 60 * 60 * 1000) : null,
+      created_at: new Date(),
+      updated_at: new Date()
+    }).returning();
+    const order = newOrder[0];
+
+    if (payment) {
+      await claimReceipt(tx, payment, order);
+      await recordOrderPayment(tx, order, Math.min(paid, amount));
+    }
+    if (fromBalance > 0) {
+      await payFromBalance(tx, order, fromBalance);
+    }
+    const credited = Math.max(paid - amount, 0);
+    if (credited > 0) {
+      await creditOverpayment(tx, order, credited);
+    }
+
+    const paidWith = [payment && `${Math.min(paid, amount)} ETB by ${payment.provider}`, fromBalance > 0 && `${fromBalance} ETB from balance`]
+      .filter(Boolean).join(', ');
+    await recordOrderEvent(tx, {
+      order_id: order.id,
+      to_status: order.status,
+      actor_type: 'buyer',
+      actor_id: buyer_id,
+      reason: short ? `Paid ${covered} of ${amount} ETB (${paidWith})` : (fromBalance > 0 ? `Paid ${paidWith}` : null),
+    });
+    return { order, credited };
+  });
+}
+
+// Applies a further verified payment to an order awaiting a top-up. Once the
+// price is covered the order becomes pending; any excess is credited to the
+// buyer's balance. Returns { order, credited }.
+async function topUpOrder(id, payment) {
+  return db.transaction(async (tx) => {
+    const existing = await tx.select().from(orders).where(eq(orders.id, id)).for('update');
+    if (existing.length === 0) {
+      throw new HttpError(404, "Order not found");
+    }
+    const order = existing[0];
+    if (order.status !== 'awaiting_topup') {
+      throw new HttpError(409, "This order is not waiting for a top-up");
+    }
+
+    await claimReceipt(tx, payment, order);
+
+    const paid = paidAmount(payment);
+    const applied = Math.min(paid, order.amount - order.amount_paid);
+    await recordOrderPayment(tx, order, applied);
+    const credited = paid - applied;
+    if (credited > 0) {
+      await creditOverpayment(tx, order, credited);
+    }
+
+    const updated = await tx.update(orders)
+      .set({ amount_paid: order.amount_paid + applied, updated_at: new Date() })
+      .where(eq(orders.id, id))
+      .returning();
+    if (updated[0].amount_paid < order.amount) {
+      return { order: updated[0], credited };
+    }
+
+    const pending = await transitionOrder(tx, updated[0], 'pending', {
+      actor_type: 'system',
+      reason: 'Topped up the payment',
+    });
+    return { order: pending, credited };
+  });
+}
+
+module.exports = {
+  BUYER_CONFIRMATION_HOURS,
+  TOPUP_HOURS,
+  ACTIVE_ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  sellerPayout,
+  getOrder,
+  getOrderDetails,
+  transitionOrder,
+  updateOrderStatus,
+  cancelOrder,
+  getOrderEvents,
+  completeOverdueOrders,
+  cancelOverdueTopups,
+  startConfirmationSweeper,
+  createOrder,
+  topUpOrder,
+};
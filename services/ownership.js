@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { eq } = require('drizzle-orm');
+const { db } = require('../db');
+const { accounts, users } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+const { bot } = require('../bot');
+const logger = require('../utils/logger');
+const { getPlatform } = require('./platforms');
+
+// How a listing's owner proves it is theirs is set per platform in
+// services/platforms.js:
+//  telegram_admin - the bot is an admin of the channel or group and sees the
+//                   seller as its creator through getChatMember
+//  code           - a one-time code placed in the channel description or
+//                   profile bio, found on the public page. Only the platform's
+//                   own hosts are fetched, so a listing cannot point the
+//                   server at any other address.
+//  manual         - nothing to check here; the moderator confirms ownership
+//                   when reviewing the listing
+function verificationMethod(platform) {
+  return getPlatform(platform).verification.method;
+}
+
+function newCode() {
+  return `ABS-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+// @username of a public channel or group from its t.me link, or null
+function telegramChatId(url) {
+  const match = /^(?:https?:\/\/)?(?:t\.me|telegram\.me)\/([A-Za-z][A-Za-z0-9_]{3,})\/?$/.exec(String(url).trim());
+  return match ? `@${match[1]}` : null;
+}
+
+async function getOwnedAccount(accountId) {
+  const result = await db.select().from(accounts)
+    .where(eq(accounts.id, accountId))
+    .innerJoin(users, eq(accounts.owner_id, users.id));
+  if (result.length === 0) {
+    throw new HttpError(404, "Account not found");
+  }
+  return { account: result[0].accounts, owner: result[0].users };
+}
+
+// What the seller has to do to verify a listing. Issues its one-time code
+// the first time one is needed. Returns { verified, method, code?, instructions }.
+async function getVerification(accountId) {
+  const { account } = await getOwnedAccount(accountId);
+  const method = verificationMethod(account.platform);
+  if (account.verified_at) {
+    return { verified: true, verified_at: account.verified_at, method };
+  }
+
+  if (method === 'manual') {
+    return {
+      verified: false,
+      method,
+      instructions: `A moderator will check that you own ${account.url} when reviewing the listing. Verify to send it for review, and be ready to prove ownership if asked.`,
+    };
+  }
+  if (method === 'telegram_admin') {
+    const { username } = await bot.telegram.getMe();
+    return {
+      verified: false,
+      method,
+      instructions: `Add @${username} as an admin of ${account.url}, then verify. You must be the creator of the ${account.platform === 'telegram_group' ? 'group' : 'channel'}.`,
+    };
+  }
+
+  let code = account.verification_code;
+  if (!code) {
+    code = newCode();
+    await db.update(accounts).set({ verification_code: code, updated_at: new Date() }).where(eq(accounts.id, accountId));
+  }
+  const { place } = getPlatform(account.platform).verification;
+  return {
+    verified: false,
+    method,
+    code,
+    instructions: `Put ${code} in the ${place} of ${account.url}, then verify. You can remove it once the listing is verified.`,
+  };
+}
+
+async function checkTelegramAdmin(account, owner) {
+  const chatId = telegramChatId(account.url);
+  if (!chatId) {
+    throw new HttpError(400, "Only public channels and groups with a t.me/<username> link can be verified");
+  }
+
+  const { id: botId } = await bot.telegram.getMe();
+  let botMember, ownerMember;
+  try {
+    botMember = await bot.telegram.getChatMember(chatId, botId);
+    ownerMember = await bot.telegram.getChatMember(chatId, Number(owner.telegram_user_id));
+  } catch (error) {
+    logger.warn('Ownership check failed', { accountId: account.id, chatId, error: error.message });
+    throw new HttpError(400, "The bot could not read this chat. Make sure it has been added as an admin.");
+  }
+
+  if (botMember.status !== 'administrator') {
+    throw new HttpError(400, "The bot is not an admin of this chat yet");
+  }
+  if (ownerMember.status !== 'creator') {
+    throw new HttpError(400, "Only the creator of the chat can list it");
+  }
+}
+
+async function checkCodeOnPage(account) {
+  const { hosts } = getPlatform(account.platform).verification;
+  let host;
+  try {
+    const url = new URL(account.url);
+    host = url.protocol === 'https:' ? url.hostname.toLowerCase() : null;
+  } catch (error) {
+    host = null;
+  }
+  if (!hosts.includes(host)) {
+    throw new HttpError(400, `The listing link must be an https link to ${hosts[0]}`);
+  }
+
+  let page;
+  try {
+    const response = await axios.get(account.url, {
+      headers: { 'Accept-Language': 'en', 'User-Agent': 'Mozilla/5.0' },
+      timeout: 15000,
+      responseType: 'text',
+      // A redirect could land on a page the seller controls on another host
+      maxRedirects: 0,
+    });
+    page = String(response.data);
+  } catch (error) {
+    const status = error.response?.status;
+    if (status >= 300 && status < 400) {
+      throw new HttpError(400, `${account.url} redirects to another page. Edit the listing to use the page's own link.`);
+    }
+    logger.warn('Could not fetch listing page', { accountId: account.id, url: account.url, error: error.message });
+    throw new HttpError(502, "Could not open the listing's page. Please try again later.");
+  }
+  if (!page.includes(account.verification_code)) {
+    throw new HttpError(400, `The code ${account.verification_code} was not found on ${account.url} yet`);
+  }
+}
+
+// Checks that the seller owns the listing and, if so, marks it verified and
+// sends an unverified listing to the moderation queue. Throws a 400 saying
+// what is missing otherwise. Listings verified manually go to the queue
+// unverified. Returns the account.
+async function verifyOwnership(accountId) {
+  const { account, owner } = await getOwnedAccount(accountId);
+  if (account.verified_at) return account;
+
+  const method = verificationMethod(account.platform);
+  if (method === 'manual') {
+    if (account.status !== 'unverified') return account;
+    const queued = await db.update(accounts)
+      .set({ status: 'under_review', submitted_at: new Date(), updated_at: new Date() })
+      .where(eq(accounts.id, accountId))
+      .returning();
+    return queued[0];
+  }
+
+  if (method === 'telegram_admin') {
+    await checkTelegramAdmin(account, owner);
+  } else {
+    if (!account.verification_code) {
+      throw new HttpError(409, "Get a verification code for this listing first");
+    }
+    await checkCodeOnPage(account);
+  }
+
+  const changes = { verified_at: new Date(), verification_code: null, updated_at: new Date() };
+  if (account.status === 'unverified') {
+    Object.assign(changes, { status: 'under_review', submitted_at: new Date() });
+  }
+  const updated = await db.update(accounts).set(changes).where(eq(accounts.id, accountId)).returning();
+  return updated[0];
+}
+
+module.exports = {
+  verificationMethod,
+  getVerification,
+  verifyOwnership,
+};
@@ -0,0 +1,107 @@
+const axios = require('axios');
+const { HttpError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+const { callReceiptVerifier, parseAmount } = require('./receiptVerifier');
+
+// Finds the transaction reference (FT followed by ten letters and digits) in
+// what the buyer typed, including a pasted CBE SMS or receipt link
+function parseReference(text) {
+  const value = (text || '').trim();
+  const match = /\b(FT[A-Z0-9]{10})/i.exec(value);
+  if (match) return match[1].toUpperCase();
+  if (/^[A-Z0-9]+$/i.test(value)) return value.toUpperCase();
+  return null;
+}
+
+// CBE looks a reference up together with the last 8 digits of the receiving
+// account, so each active escrow account is tried in turn
+async function verifyReference(text, escrowAccounts) {
+  const reference = parseReference(text);
+  if (!reference) {
+    throw new HttpError(400, "Could not find a CBE transaction reference in your message");
+  }
+
+  for (const escrow of escrowAccounts) {
+    const result = await callReceiptVerifier('/verify-cbe', {
+      reference,
+      accountSuffix: escrow.account_number.slice(-8),
+    }, { "Content-Type": "application/json" });
+    if (!result.success) continue;
+
+    const data = result.data || result;
+    return {
+      reference: data.reference || reference,
+      payer: data.payer || null,
+      receiver: data.receiver,
+      amount: parseAmount(data.amount),
+      date: data.date || null,
+    };
+  }
+  throw new HttpError(400, "Payment verification failed. Please check the reference and try again.");
+}
+
+// CBE receipts are looked up by transaction reference, or read from a
+// screenshot by the CBE verifier service
+module.exports = {
+  name: 'cbe',
+  label: 'CBE',
+  inputs: ['reference', 'image'],
+  prompt: 'Please send your CBE transaction reference (FT...), paste the CBE payment SMS, or upload a screenshot of the receipt:',
+
+  async verify({ reference, image_url }, escrowAccounts) {
+    if (!image_url) {
+      return verifyReference(reference, escrowAccounts);
+    }
+    if (!process.env.CBE_VERIFIER_URL) {
+      console.error("CBE_VERIFIER_URL is not set.");
+      throw new HttpError(500, "Server configuration error.");
+    }
+
+    const response = await axios.get(`${process.env.CBE_VERIFIER_URL}/parse`, {
+      params: { image_url },
+      validateStatus: () => true,
+    });
+    if (response.status >= 400) {
+      logger.error('CBE verifier request failed', { status: response.status, statusText: response.statusText });
+      throw new HttpError(502, "Failed to verify payment");
+    }
+
+    const { success, message, data } = response.data;
+    if (!success) {
+      if (message === "transaction already exist") {
+        throw new HttpError(409, "This transaction receipt has already been used. Please use a new receipt.");
+      }
+      throw new HttpError(400, "Payment verification failed. Please check your receipt and try again.");
+    }
+    // Receipts are claimed by reference, so one without it cannot be taken
+    const transaction = data.transaction || data.transactionNumber;
+    if (!transaction) {
+      throw new HttpError(400, "Could not read a CBE transaction reference from the screenshot. Please send the reference instead.");
+    }
+
+    return {
+      reference: transaction,
+      payer: data.payer || null,
+      receiver: data.receiver,
+      amount: parseFloat(data.amount),
+      date: data.date || null,
+    };
+  },
+
+  // Lets the verifier service remember the transaction so the same screenshot
+  // is refused next time. Best effort: a failure is only logged.
+  async recordUse(payment) {
+    try {
+      const response = await axios.post(`${process.env.CBE_VERIFIER_URL}/save-transaction`, {
+        transactionNumber: payment.reference,
+        amount: payment.amount,
+        receiver: payment.receiver,
+      }, { validateStatus: () => true });
+      if (response.status >= 400) {
+        logger.error('Failed to save transaction record', { response: response.data });
+      }
+    } catch (error) {
+      logger.error('Error saving transaction record', { error: error.message, stack: error.stack });
+    }
+  },
+};
@@ -0,0 +1,70 @@
+const { eq, and, asc } = require('drizzle-orm');
+const { db } = require('../../db');
+const { escrowAccounts } = require('../../db/schema');
+const { HttpError } = require('../../utils/errors');
+
+// Escrow accounts, oldest first, optionally for one provider or only active ones
+async function listEscrowAccounts({ provider, active } = {}) {
+  const conditions = [];
+  if (provider) conditions.push(eq(escrowAccounts.provider, provider));
+  if (active !== undefined) conditions.push(eq(escrowAccounts.active, active));
+
+  return db.select().from(escrowAccounts)
+    .where(conditions.length ? and(...conditions) : undefined)
+    .orderBy(asc(escrowAccounts.created_at));
+}
+
+function normalizeAliases(aliases) {
+  if (aliases === undefined) return undefined;
+  if (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string')) {
+    throw new HttpError(400, "aliases must be a list of names");
+  }
+  return aliases.map(a => a.trim()).filter(Boolean);
+}
+
+async function createEscrowAccount({ provider, account_number, holder_name, aliases = [] }, tx = db) {
+  if (!provider || !account_number || !holder_name) {
+    throw new HttpError(400, "provider, account_number and holder_name are required");
+  }
+
+  const created = await tx.insert(escrowAccounts).values({
+    provider,
+    account_number: String(account_number).trim(),
+    holder_name: holder_name.trim(),
+    aliases: normalizeAliases(aliases),
+  }).onConflictDoNothing().returning();
+
+  if (created.length === 0) {
+    throw new HttpError(409, "This escrow account already exists");
+  }
+  return created[0];
+}
+
+// Changes an account's details or takes it in and out of rotation
+async function updateEscrowAccount(id, { account_number, holder_name, aliases, active }, tx = db) {
+  const changes = { updated_at: new Date() };
+  if (account_number !== undefined) changes.account_number = String(account_number).trim();
+  if (holder_name !== undefined) changes.holder_name = String(holder_name).trim();
+  if (aliases !== undefined) changes.aliases = normalizeAliases(aliases);
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw new HttpError(400, "active must be true or false");
+    }
+    changes.active = active;
+  }
+
+  const updated = await tx.update(escrowAccounts)
+    .set(changes)
+    .where(eq(escrowAccounts.id, id))
+    .returning();
+  if (updated.length === 0) {
+    throw new HttpError(404, "Escrow account not found");
+  }
+  return updated[0];
+}
+
+module.exports = {
+  listEscrowAccounts,
+  createEscrowAccount,
+  updateEscrowAccount,
+};
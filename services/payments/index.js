@@ -0,0 +1,160 @@
+const { eq, and } = require('drizzle-orm');
+const { db } = require('../../db');
+const { paymentReceipts } = require('../../db/schema');
+const { HttpError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+const { isCloudinaryUrl } = require('../../utils/uploader');
+const telebirr = require('./telebirr');
+const cbe = require('./cbe');
+const mock = require('./mock');
+const { listEscrowAccounts, createEscrowAccount, updateEscrowAccount } = require('./escrowAccounts');
+
+// Payment providers by name. A provider describes how the buyer proves a
+// payment and turns that proof into one result shape:
+//
+//   name, label      - id used in routes and bot callbacks, and display name
+//   inputs           - what the buyer can send: 'reference' (typed number or
+//                      SMS text) and/or 'image' (receipt screenshot)
+//   prompt           - what the bot asks the buyer for
+//   verify(input, escrowAccounts)
+//                    - resolves { reference, payer, receiver, amount, date }
+//                      from { reference, image_url }, given the provider's
+//                      active escrow accounts; throws an HttpError when the
+//                      receipt is invalid. A text reference may be a whole
+//                      pasted SMS, so the provider picks the reference out.
+//   recordUse(p)     - optional, called once the payment paid for an order
+//
+// Adding a wallet means adding a module here and its escrow accounts to the
+// escrow_accounts table.
+const PROVIDERS = Object.fromEntries(
+  [telebirr, cbe, process.env.PAYMENT_MOCK_ENABLED === 'true' && mock]
+    .filter(Boolean)
+    .map(p => [p.name, p])
+);
+
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new HttpError(400, `Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+// Public description of the enabled providers that have an active escrow
+// account, with the accounts to pay into, for the bot and mini app
+async function listProviders() {
+  const active = await listEscrowAccounts({ active: true });
+  return Object.values(PROVIDERS)
+    .map(({ name, label, inputs, prompt }) => ({
+      name,
+      label,
+      inputs,
+      prompt,
+      escrow_accounts: active
+        .filter(a => a.provider === name)
+        .map(({ account_number, holder_name }) => ({ account_number, holder_name })),
+    }))
+    .filter(p => p.escrow_accounts.length > 0);
+}
+
+function normalizeName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+const RECEIPT_USED_MESSAGE = "This receipt has already been used for an order. Each payment can only be used once.";
+
+// Receipt references are compared case- and space-insensitively
+function normalizeReference(reference) {
+  return String(reference).replace(/\s+/g, '').toUpperCase();
+}
+
+// The claimed receipt for a provider's reference, or null
+async function findReceipt(providerName, reference) {
+  const result = await db.select().from(paymentReceipts)
+    .where(and(
+      eq(paymentReceipts.provider, providerName),
+      eq(paymentReceipts.reference, normalizeReference(reference))
+    ));
+  return result[0] || null;
+}
+
+// Claims a verified payment for an order inside the transaction that creates
+// it, so a receipt can only ever pay once. Throws a 409 if it already has.
+async function claimReceipt(tx, payment, order) {
+  const claimed = await tx.insert(paymentReceipts).values({
+    provider: payment.provider,
+    reference: normalizeReference(payment.reference),
+    order_id: order.id,
+    user_id: order.buyer_id,
+    amount: Math.floor(payment.amount),
+    payer: payment.payer || null,
+    receiver: payment.receiver || null,
+  }).onConflictDoNothing().returning();
+
+  if (claimed.length === 0) {
+    throw new HttpError(409, RECEIPT_USED_MESSAGE, { provider: payment.provider, reference: payment.reference });
+  }
+  return claimed[0];
+}
+
+// Verifies a payment with its provider and checks it went to an active escrow
+// account and has not paid for an order before. Whether the amount covers a
+// price is up to the caller. Returns the provider's result with the provider
+// name added.
+async function verifyPayment(providerName, input) {
+  const provider = getProvider(providerName);
+  if (!input.reference && !input.image_url) {
+    throw new HttpError(400, "A receipt reference or screenshot is required");
+  }
+  if (!input.image_url && !provider.inputs.includes('reference')) {
+    throw new HttpError(400, `${provider.label} payments need a receipt screenshot`);
+  }
+  if (!input.reference && !provider.inputs.includes('image')) {
+    throw new HttpError(400, `${provider.label} payments need a receipt number`);
+  }
+  // Screenshots are fetched and passed on to the verifiers, so only ones
+  // uploaded to our own Cloudinary are taken
+  if (input.image_url && !isCloudinaryUrl(input.image_url)) {
+    throw new HttpError(400, "Upload the receipt screenshot through the bot", { fields: { image_url: "Must be a receipt uploaded through the bot" } });
+  }
+
+  const escrow = await listEscrowAccounts({ provider: provider.name, active: true });
+  const payment = await provider.verify(input, escrow);
+
+  if (await findReceipt(provider.name, payment.reference)) {
+    throw new HttpError(409, RECEIPT_USED_MESSAGE, { provider: provider.name, reference: payment.reference });
+  }
+
+  const receivers = escrow.flatMap(a => [a.holder_name, ...a.aliases]).map(normalizeName);
+  if (!receivers.includes(normalizeName(payment.receiver))) {
+    logger.warn('Receipt receiver is not an escrow account', { provider: provider.name, reference: payment.reference, receiver: payment.receiver });
+    throw new HttpError(400, `The receiver name '${payment.receiver}' does not match any escrow account`);
+  }
+
+  if (!Number.isFinite(payment.amount) || payment.amount < 1) {
+    logger.warn('Receipt shows no payment amount', { provider: provider.name, reference: payment.reference, amount: payment.amount });
+    throw new HttpError(400, "The receipt does not show a payment amount");
+  }
+
+  return { provider: provider.name, ...payment };
+}
+
+// Lets the provider know a verified payment has been used for an order
+async function recordPaymentUse(payment) {
+  const provider = PROVIDERS[payment.provider];
+  if (provider && provider.recordUse) {
+    await provider.recordUse(payment);
+  }
+}
+
+module.exports = {
+  listEscrowAccounts,
+  createEscrowAccount,
+  updateEscrowAccount,
+  getProvider,
+  listProviders,
+  findReceipt,
+  claimReceipt,
+  verifyPayment,
+  recordPaymentUse,
+};
@@ -0,0 +1,26 @@
+const { HttpError } = require('../../utils/errors');
+
+// Offline provider for development and tests. The result depends only on the
+// reference: "MOCK-<amount>-<anything>" verifies as a payment of <amount> ETB
+// to the mock escrow account, and anything containing "FAIL" is rejected.
+module.exports = {
+  name: 'mock',
+  label: 'Mock (testing)',
+  inputs: ['reference'],
+  prompt: 'Please enter a mock reference such as MOCK-500-1 (pays 500 ETB):',
+
+  async verify({ reference }) {
+    const match = /^MOCK-(\d+)-([A-Za-z0-9-]+)$/.exec((reference || '').trim());
+    if (!match || match[2].includes('FAIL')) {
+      throw new HttpError(400, "Payment verification failed", { reference });
+    }
+
+    return {
+      reference: match[0],
+      payer: 'Mock Payer',
+      receiver: 'Mock Escrow',
+      amount: parseInt(match[1], 10),
+      date: '2024-01-01T00:00:00.000Z',
+    };
+  },
+};
@@ -0,0 +1,53 @@
+const axios = require('axios');
+const { HttpError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+const RECEIPT_VERIFIER_URL = process.env.RECEIPT_VERIFIER_URL || 'https://verifyapi.leulzenebe.pro';
+// Largest receipt screenshot downloaded for the verifier
+const MAX_RECEIPT_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Posts to the receipt verifier API (Telebirr and CBE lookups, receipt
+// screenshots) and returns its response body. A rejected receipt comes back
+// as { success: false }; only a failure of the service itself throws.
+async function callReceiptVerifier(path, body, headers = {}) {
+  const apiKey = process.env.RECEIPT_VERIFIER_API_KEY;
+  if (!apiKey) {
+    console.error("RECEIPT_VERIFIER_API_KEY is not set.");
+    throw new HttpError(500, "Server configuration error.");
+  }
+
+  const response = await axios.post(`${RECEIPT_VERIFIER_URL}${path}`, body, {
+    headers: { "x-api-key": apiKey, ...headers },
+    validateStatus: () => true,
+  });
+  if (response.status >= 500 || response.status === 401 || response.status === 403) {
+    logger.error('Receipt verifier request failed', { path, status: response.status, data: response.data });
+    throw new HttpError(502, "Failed to verify payment");
+  }
+  return response.data;
+}
+
+// Downloads a receipt screenshot and sends it to the verifier's image
+// endpoint, which reads the reference off it. image_url must already be
+// checked to be one of ours (see verifyPayment); redirects are not followed.
+async function readReceiptImage(image_url) {
+  const image = await axios.get(image_url, {
+    responseType: 'arraybuffer',
+    maxRedirects: 0,
+    maxContentLength: MAX_RECEIPT_IMAGE_BYTES,
+  });
+  const form = new FormData();
+  form.append('file', new Blob([image.data], { type: image.headers['content-type'] || 'image/jpeg' }), 'receipt.jpg');
+  return callReceiptVerifier('/verify-image', form);
+}
+
+// The amount as a number, from values such as "1,000.00 ETB"
+function parseAmount(value) {
+  return parseFloat(String(value).replace(/[^0-9.-]+/g, ""));
+}
+
+module.exports = {
+  callReceiptVerifier,
+  readReceiptImage,
+  parseAmount,
+};
@@ -0,0 +1,53 @@
+const { HttpError } = require('../../utils/errors');
+const { callReceiptVerifier, readReceiptImage, parseAmount } = require('./receiptVerifier');
+
+// Finds the receipt number in what the buyer typed: the number on its own, or
+// a forwarded Telebirr SMS with the number or the receipt link in it
+function parseReference(text) {
+  const value = (text || '').trim();
+  const fromSms = /receipt\/([A-Z0-9]+)/i.exec(value) || /transaction number is\s*([A-Z0-9]+)/i.exec(value);
+  if (fromSms) return fromSms[1].toUpperCase();
+  if (/^[A-Z0-9]+$/i.test(value)) return value.toUpperCase();
+  return null;
+}
+
+// Telebirr receipts are looked up by receipt number through the receipt
+// verifier API. A screenshot is read for its receipt number first, so every
+// input is checked against the same official record.
+module.exports = {
+  name: 'telebirr',
+  label: 'Telebirr',
+  inputs: ['reference', 'image'],
+  prompt: 'Please send your Telebirr receipt number, forward the Telebirr payment SMS, or upload a screenshot of the receipt:',
+
+  async verify({ reference, image_url }) {
+    if (image_url) {
+      const read = await readReceiptImage(image_url);
+      const type = read.type || read.data?.type;
+      reference = read.reference || read.data?.reference;
+      if (read.success === false || !reference || (type && type !== 'telebirr')) {
+        throw new HttpError(400, "Could not read a Telebirr receipt from the screenshot. Please send the receipt number instead.");
+      }
+    } else {
+      reference = parseReference(reference);
+      if (!reference) {
+        throw new HttpError(400, "Could not find a Telebirr receipt number in your message");
+      }
+    }
+
+    const { success, data } = await callReceiptVerifier('/verify-telebirr', { reference }, {
+      "Content-Type": "application/json",
+    });
+    if (!success) {
+      throw new HttpError(400, "Payment verification failed", data);
+    }
+
+    return {
+      reference: data.receiptNo || reference,
+      payer: data.payerName || null,
+      receiver: data.creditedPartyName,
+      amount: parseAmount(data.settledAmount),
+      date: data.paymentDate || null,
+    };
+  },
+};
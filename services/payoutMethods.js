@@ -0,0 +1,135 @@
+const { eq, and, asc, desc, ne } = require('drizzle-orm');
+const { db } = require('../db');
+const { payoutMethods } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+const { validateBankDetails } = require('./banks');
+
+// A user's payout methods, the default first, then oldest first
+async function listPayoutMethods(userId, tx = db) {
+  return tx.select().from(payoutMethods)
+    .where(eq(payoutMethods.user_id, userId))
+    .orderBy(desc(payoutMethods.is_default), asc(payoutMethods.created_at));
+}
+
+// One of the user's payout methods, or their default when id is not given.
+// Throws a 404 for a method that is not theirs and a 400 when they have none.
+async function getPayoutMethod(userId, id, tx = db) {
+  const condition = id
+    ? and(eq(payoutMethods.user_id, userId), eq(payoutMethods.id, id))
+    : and(eq(payoutMethods.user_id, userId), eq(payoutMethods.is_default, true));
+  const result = await tx.select().from(payoutMethods).where(condition);
+  if (result.length === 0) {
+    if (id) throw new HttpError(404, "Payout method not found");
+    throw new HttpError(400, "Please add a payout method before withdrawing");
+  }
+  return result[0];
+}
+
+// Unsets the user's current default so another method can take its place
+function clearDefault(tx, userId) {
+  return tx.update(payoutMethods)
+    .set({ is_default: false, updated_at: new Date() })
+    .where(and(eq(payoutMethods.user_id, userId), eq(payoutMethods.is_default, true)));
+}
+
+// Adds a payout method after checking it against the banks catalogue. The
+// user's first method becomes their default, as does one added with
+// is_default. Adding one they already have returns it.
+async function createPayoutMethod(userId, { is_default = false, ...details }, outer = db) {
+  const { bank_code, bank_name, account_holder_name, account_number } = validateBankDetails(details);
+
+  return outer.transaction(async (tx) => {
+    const existing = await tx.select().from(payoutMethods).where(eq(payoutMethods.user_id, userId));
+    const duplicate = existing.find(m => m.bank_name === bank_name && m.account_number === account_number);
+    if (duplicate) return duplicate;
+
+    const makeDefault = is_default === true || existing.length === 0;
+    if (makeDefault) await clearDefault(tx, userId);
+
+    const created = await tx.insert(payoutMethods).values({
+      user_id: userId,
+      bank_code,
+      bank_name,
+      account_holder_name,
+      account_number,
+      is_default: makeDefault,
+    }).returning();
+    return created[0];
+  });
+}
+
+// Changes a method's details, or makes it the default with is_default: true.
+// Changed details are checked against the banks catalogue together with the
+// ones left as they were.
+async function updatePayoutMethod(userId, id, { is_default, ...details }) {
+  if (is_default !== undefined && is_default !== true) {
+    throw new HttpError(400, "Make another method the default instead");
+  }
+
+  return db.transaction(async (tx) => {
+    const method = await getPayoutMethod(userId, id, tx);
+    const changes = { updated_at: new Date() };
+
+    const edited = ['bank_code', 'bank_name', 'account_holder_name', 'account_number'].some(f => details[f] !== undefined);
+    if (edited) {
+      Object.assign(changes, validateBankDetails({
+        bank_code: details.bank_code || (details.bank_name ? undefined : method.bank_code || method.bank_name),
+        bank_name: details.bank_name,
+        account_holder_name: details.account_holder_name ?? method.account_holder_name,
+        account_number: details.account_number ?? method.account_number,
+      }));
+
+      const clash = await tx.select({ id: payoutMethods.id }).from(payoutMethods)
+        .where(and(
+          eq(payoutMethods.user_id, userId),
+          eq(payoutMethods.bank_name, changes.bank_name),
+          eq(payoutMethods.account_number, changes.account_number),
+          ne(payoutMethods.id, id)
+        ));
+      if (clash.length) {
+        throw new HttpError(409, "You already have this payout method");
+      }
+    }
+
+    if (is_default) {
+      await clearDefault(tx, userId);
+      changes.is_default = true;
+    }
+
+    const result = await tx.update(payoutMethods)
+      .set(changes)
+      .where(eq(payoutMethods.id, id))
+      .returning();
+    return result[0];
+  });
+}
+
+// Removes a method. If it was the default, the oldest remaining one takes over.
+// Withdrawals already made to it keep their copy of the details.
+async function deletePayoutMethod(userId, id) {
+  return db.transaction(async (tx) => {
+    const method = await getPayoutMethod(userId, id, tx);
+    await tx.delete(payoutMethods).where(eq(payoutMethods.id, id));
+
+    if (method.is_default) {
+      const next = await tx.select().from(payoutMethods)
+        .where(and(eq(payoutMethods.user_id, userId), ne(payoutMethods.id, id)))
+        .orderBy(asc(payoutMethods.created_at))
+        .limit(1);
+      if (next.length) {
+        await tx.update(payoutMethods)
+          .set({ is_default: true, updated_at: new Date() })
+          .where(eq(payoutMethods.id, next[0].id));
+      }
+    }
+    return method;
+  });
+}
+
+module.exports = {
+  listPayoutMethods,
+  getPayoutMethod,
+  createPayoutMethod,
+  updatePayoutMethod,
+  deletePayoutMethod,
+};
@@ -0,0 +1,275 @@
+const { sql } = require('drizzle-orm');
+const { accounts } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+
+// Attribute types a platform's schema can use:
+//  integer, number - optional min and max
+//  string          - optional max_length
+//  boolean
+//  country_split   - share of the audience per country, e.g. { "ET": 60, "US": 15 },
+//                    two-letter country codes and percentages adding up to at most 100
+const niche = { type: 'string', label: 'Niche', max_length: 50 };
+const countrySplit = { type: 'country_split', label: 'Audience by country (%)' };
+const onlineRatio = { type: 'number', label: 'Members online (%)', min: 0, max: 100 };
+
+// Platforms that can be listed. audience_label names what subscriber_count
+// counts on the platform. verification is how the seller proves ownership
+// (see services/ownership.js):
+//  telegram_admin - the bot is made an admin of the chat
+//  code           - a one-time code in the `place` of the page, fetched from one of `hosts`
+//  manual         - a moderator confirms ownership when reviewing the listing
+const PLATFORMS = [
+  {
+    code: 'youtube_channel',
+    label: 'YouTube channel',
+    audience_label: 'Subscribers',
+    verification: { method: 'code', hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com'], place: 'channel description' },
+    attributes: {
+      watch_hours: { type: 'integer', label: 'Watch hours (last 12 months)', min: 0 },
+      average_views: { type: 'integer', label: 'Average views per video', min: 0 },
+      niche,
+      country_split: countrySplit,
+    },
+  },
+  {
+    code: 'tiktok_account',
+    label: 'TikTok account',
+    audience_label: 'Followers',
+    verification: { method: 'code', hosts: ['tiktok.com', 'www.tiktok.com'], place: 'profile bio' },
+    attributes: {
+      average_views: { type: 'integer', label: 'Average views per video', min: 0 },
+      total_likes: { type: 'integer', label: 'Total likes', min: 0 },
+      niche,
+      country_split: countrySplit,
+    },
+  },
+  {
+    code: 'telegram_channel',
+    label: 'Telegram channel',
+    audience_label: 'Subscribers',
+    verification: { method: 'telegram_admin' },
+    attributes: {
+      average_views: { type: 'integer', label: 'Average views per post', min: 0 },
+      niche,
+      country_split: countrySplit,
+    },
+  },
+  {
+    code: 'telegram_group',
+    label: 'Telegram group',
+    audience_label: 'Members',
+    verification: { method: 'telegram_admin' },
+    attributes: {
+      online_ratio: onlineRatio,
+      niche,
+      country_split: countrySplit,
+    },
+  },
+  {
+    code: 'instagram_account',
+    label: 'Instagram account',
+    audience_label: 'Followers',
+    verification: { method: 'code', hosts: ['instagram.com', 'www.instagram.com'], place: 'profile bio' },
+    attributes: {
+      average_likes: { type: 'integer', label: 'Average likes per post', min: 0 },
+      engagement_rate: { type: 'number', label: 'Engagement rate (%)', min: 0, max: 100 },
+      niche,
+      country_split: countrySplit,
+    },
+  },
+  {
+    code: 'facebook_page',
+    label: 'Facebook page',
+    audience_label: 'Followers',
+    verification: { method: 'code', hosts: ['facebook.com', 'www.facebook.com', 'm.facebook.com'], place: "page's intro" },
+    attributes: {
+      average_reach: { type: 'integer', label: 'Average reach per post', min: 0 },
+      niche,
+      country_split: countrySplit,
+    },
+  },
+  {
+    code: 'x_account',
+    label: 'X account',
+    audience_label: 'Followers',
+    verification: { method: 'code', hosts: ['x.com', 'www.x.com', 'twitter.com', 'www.twitter.com'], place: 'profile bio' },
+    attributes: {
+      average_impressions: { type: 'integer', label: 'Average impressions per post', min: 0 },
+      niche,
+      country_split: countrySplit,
+    },
+  },
+  {
+    code: 'discord_server',
+    label: 'Discord server',
+    audience_label: 'Members',
+    verification: { method: 'manual' },
+    attributes: {
+      online_ratio: onlineRatio,
+      boost_level: { type: 'integer', label: 'Boost level', min: 0, max: 3 },
+      niche,
+      country_split: countrySplit,
+    },
+  },
+];
+
+const PLATFORM_CODES = PLATFORMS.map(p => p.code);
+
+// Public description of the registry, for GET /platforms and the listing form
+function listPlatforms() {
+  return PLATFORMS.map(({ code, label, audience_label, verification, attributes }) => ({
+    code,
+    label,
+    audience_label,
+    verification_method: verification.method,
+    attributes,
+  }));
+}
+
+// The registry entry for a platform code. Throws a 400 for anything else.
+function getPlatform(code) {
+  const platform = PLATFORMS.find(p => p.code === code);
+  if (!platform) {
+    throw new HttpError(400, `'${code}' is not a supported platform, see GET /platforms`, { fields: { platform_type: "Choose a supported platform" } });
+  }
+  return platform;
+}
+
+// Checks one value against its attribute spec. Returns the cleaned value, or
+// a message saying what is wrong with it.
+function checkValue(spec, value) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n) || (spec.type === 'integer' && !Number.isInteger(n))) {
+        return { error: `${spec.label} must be a ${spec.type === 'integer' ? 'whole number' : 'number'}` };
+      }
+      if (spec.min !== undefined && spec.max !== undefined && (n < spec.min || n > spec.max)) {
+        return { error: `${spec.label} must be between ${spec.min} and ${spec.max}` };
+      }
+      if (spec.min !== undefined && n < spec.min) return { error: `${spec.label} must be at least ${spec.min}` };
+      if (spec.max !== undefined && n > spec.max) return { error: `${spec.label} must be at most ${spec.max}` };
+      return { value: n };
+    }
+    case 'string': {
+      const s = typeof value === 'string' ? value.trim() : '';
+      if (!s) return { error: `${spec.label} must be text` };
+      if (spec.max_length && s.length > spec.max_length) {
+        return { error: `${spec.label} must be at most ${spec.max_length} characters` };
+      }
+      return { value: s };
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `${spec.label} must be true or false` };
+      return { value };
+    case 'country_split': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: `${spec.label} must map country codes to percentages, e.g. { "ET": 60 }` };
+      }
+      const split = {};
+      for (const [country, share] of Object.entries(value)) {
+        const n = Number(share);
+        if (!/^[A-Za-z]{2}$/.test(country) || !Number.isFinite(n) || n < 0 || n > 100) {
+          return { error: `${spec.label} must map two-letter country codes to percentages between 0 and 100` };
+        }
+        split[country.toUpperCase()] = n;
+      }
+      if (Object.values(split).reduce((sum, n) => sum + n, 0) > 100) {
+        return { error: `${spec.label} must add up to at most 100` };
+      }
+      return { value: split };
+    }
+    default:
+      throw new Error(`Unknown attribute type ${spec.type}`);
+  }
+}
+
+// Checks a listing's attributes against its platform's schema and returns
+// them cleaned up. Null values are left out. Attributes the platform does not
+// have are rejected, or dropped with dropUnknown (when a listing moves to
+// another platform). Throws a 400 whose details.fields has a message per bad
+// attribute, keyed attributes.<name>.
+function validateAttributes(code, attributes, { dropUnknown = false } = {}) {
+  const platform = getPlatform(code);
+  if (attributes === undefined || attributes === null) return {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new HttpError(400, "attributes must be an object", { fields: { attributes: "attributes must be an object" } });
+  }
+
+  const fields = {};
+  const cleaned = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    const spec = platform.attributes[name];
+    if (!spec) {
+      if (!dropUnknown) fields[`attributes.${name}`] = `${platform.label} listings have no '${name}' attribute`;
+      continue;
+    }
+    if (value === null) continue;
+    const result = checkValue(spec, value);
+    if (result.error) {
+      fields[`attributes.${name}`] = result.error;
+    } else {
+      cleaned[name] = result.value;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, Object.values(fields).join('. '), { fields });
+  }
+  return cleaned;
+}
+
+// Search conditions on listing attributes, from query parameters such as
+//   attributes[niche]=gaming
+//   attributes[watch_hours][min]=4000&attributes[average_views][max]=10000
+//   attributes[country_split][ET]=50   (at least 50% of the audience in ET)
+// Attributes must belong to one of the platforms searched (any platform when
+// none is given). Throws a 400 for an unknown attribute or a bad value.
+function attributeConditions(platformCodes, filters) {
+  if (!filters) return [];
+  if (typeof filters !== 'object') {
+    throw new HttpError(400, "Filter attributes as attributes[name]=value");
+  }
+
+  const platforms = platformCodes.length > 0 ? platformCodes.map(getPlatform) : PLATFORMS;
+  const conditions = [];
+  for (const [name, filter] of Object.entries(filters)) {
+    const spec = platforms.map(p => p.attributes[name]).find(Boolean);
+    if (!spec) {
+      throw new HttpError(400, `'${name}' is not an attribute of the platforms searched`);
+    }
+    const check = (value) => {
+      const result = checkValue(spec, value);
+      if (result.error) throw new HttpError(400, result.error);
+      return result.value;
+    };
+    const field = sql`${accounts.attributes}->>${name}`;
+
+    if (spec.type === 'integer' || spec.type === 'number') {
+      if (filter && typeof filter === 'object') {
+        if (filter.min !== undefined) conditions.push(sql`(${field})::numeric >= ${check(filter.min)}`);
+        if (filter.max !== undefined) conditions.push(sql`(${field})::numeric <= ${check(filter.max)}`);
+      } else {
+        conditions.push(sql`(${field})::numeric = ${check(filter)}`);
+      }
+    } else if (spec.type === 'string') {
+      conditions.push(sql`lower(${field}) = lower(${check(filter)})`);
+    } else if (spec.type === 'boolean') {
+      conditions.push(sql`(${field})::boolean = ${check(filter === 'true' ? true : filter === 'false' ? false : filter)}`);
+    } else if (spec.type === 'country_split') {
+      for (const [country, share] of Object.entries(check(filter))) {
+        conditions.push(sql`(${accounts.attributes}->${name}->>${country})::numeric >= ${share}`);
+      }
+    }
+  }
+  return conditions;
+}
+
+module.exports = {
+  PLATFORM_CODES,
+  listPlatforms,
+  getPlatform,
+  validateAttributes,
+  attributeConditions,
+};
@@ -0,0 +1,165 @@
+const { eq, and, lt, sql } = require('drizzle-orm');
+const { db } = require('../db');
+const { accounts, reservations } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// How long a buyer holds an account while paying
+const RESERVATION_MINUTES = parseInt(process.env.RESERVATION_MINUTES) || 10;
+// How often expired holds are released
+const RESERVATION_SWEEP_SECONDS = parseInt(process.env.RESERVATION_SWEEP_SECONDS) || 60;
+
+// Status for a listing going back on the market. One that was never verified
+// (listed before verification existed) has to be verified before it is sold again.
+const relistedStatus = sql`case when ${accounts.verified_at} is null then 'unverified' else 'available' end`;
+
+function withTimeLeft(reservation) {
+  const msLeft = new Date(reservation.expires_at).getTime() - Date.now();
+  return { ...reservation, seconds_left: Math.max(0, Math.floor(msLeft / 1000)) };
+}
+
+function isExpired(reservation) {
+  return new Date(reservation.expires_at).getTime() <= Date.now();
+}
+
+async function findActiveReservation(tx, accountId) {
+  const result = await tx.select().from(reservations)
+    .where(and(eq(reservations.account_id, accountId), eq(reservations.status, 'active')))
+    .for('update');
+  return result[0] || null;
+}
+
+async function expireReservation(tx, reservation) {
+  await tx.update(reservations)
+    .set({ status: 'expired', updated_at: new Date() })
+    .where(eq(reservations.id, reservation.id));
+}
+
+// Puts a hold on an available account for the buyer. Asking again while the
+// hold is still valid returns the existing one instead of extending it.
+async function reserveAccount(accountId, buyerId) {
+  return db.transaction(async (tx) => {
+    const accountArr = await tx.select().from(accounts).where(eq(accounts.id, accountId)).for('update');
+    if (accountArr.length === 0) {
+      throw new HttpError(404, "Account not found");
+    }
+    const account = accountArr[0];
+    if (account.owner_id === buyerId) {
+      throw new HttpError(409, "You cannot buy your own account.");
+    }
+
+    const active = await findActiveReservation(tx, accountId);
+    if (active && !isExpired(active)) {
+      if (active.buyer_id === buyerId) {
+        return { account, reservation: withTimeLeft(active) };
+      }
+      throw new HttpError(409, "Account is not available for reservation.");
+    }
+
+    if (active) {
+      // Expired but not swept yet
+      await expireReservation(tx, active);
+    } else if (account.status !== 'available') {
+      throw new HttpError(409, "Account is not available for reservation.");
+    }
+
+    const reservation = await tx.insert(reservations).values({
+      account_id: accountId,
+      buyer_id: buyerId,
+      expires_at: new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000),
+    }).returning();
+
+    const updatedAccount = await tx.update(accounts)
+      .set({ status: 'pending' })
+      .where(eq(accounts.id, accountId))
+      .returning();
+
+    return { account: updatedAccount[0], reservation: withTimeLeft(reservation[0]) };
+  });
+}
+
+// Turns the buyer's hold into an order. Runs in the order's transaction. If
+// the hold already lapsed the account can still be taken while nobody else
+// has reserved or bought it, since the buyer has usually paid by now.
+async function convertReservation(tx, accountId, buyerId) {
+  const active = await findActiveReservation(tx, accountId);
+  if (active && active.buyer_id === buyerId) {
+    await tx.update(reservations)
+      .set({ status: 'converted', updated_at: new Date() })
+      .where(eq(reservations.id, active.id));
+    return;
+  }
+  if (active && !isExpired(active)) {
+    throw new HttpError(409, "Your reservation expired and the account was reserved by another buyer.");
+  }
+  if (active) {
+    await expireReservation(tx, active);
+  }
+
+  const accountArr = await tx.select().from(accounts).where(eq(accounts.id, accountId)).for('update');
+  if (accountArr.length === 0) {
+    throw new HttpError(404, "Account not found");
+  }
+  // 'pending' without an active hold belongs to another buyer's order
+  if (accountArr[0].status !== 'available' && !(active && accountArr[0].status === 'pending')) {
+    throw new HttpError(409, "Your reservation expired and the account is no longer available.");
+  }
+  await tx.update(accounts).set({ status: 'pending' }).where(eq(accounts.id, accountId));
+}
+
+// The buyer's current hold on an account, with seconds_left, or null
+async function getActiveReservation(accountId, buyerId) {
+  const result = await db.select().from(reservations)
+    .where(and(
+      eq(reservations.account_id, accountId),
+      eq(reservations.buyer_id, buyerId),
+      eq(reservations.status, 'active')
+    ));
+  if (result.length === 0 || isExpired(result[0])) return null;
+  return withTimeLeft(result[0]);
+}
+
+// Expires lapsed holds and puts their accounts back on the market
+async function releaseExpiredReservations() {
+  return db.transaction(async (tx) => {
+    const expired = await tx.update(reservations)
+      .set({ status: 'expired', updated_at: new Date() })
+      .where(and(eq(reservations.status, 'active'), lt(reservations.expires_at, new Date())))
+      .returning();
+
+    for (const reservation of expired) {
+      await tx.update(accounts)
+        .set({ status: relistedStatus })
+        .where(and(eq(accounts.id, reservation.account_id), eq(accounts.status, 'pending')));
+    }
+    return expired;
+  });
+}
+
+// Runs the sweeper now and then every RESERVATION_SWEEP_SECONDS. Because holds
+// live in the database, anything that expired while the process was down is
+// released on the first run.
+function startReservationSweeper() {
+  const sweep = async () => {
+    try {
+      const expired = await releaseExpiredReservations();
+      if (expired.length > 0) {
+        logger.info('Released expired reservations', { count: expired.length, accountIds: expired.map(r => r.account_id) });
+      }
+    } catch (error) {
+      logger.error('Error releasing expired reservations', { error: error.message, stack: error.stack });
+    }
+  };
+  sweep();
+  return setInterval(sweep, RESERVATION_SWEEP_SECONDS * 1000);
+}
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reserveAccount,
+  convertReservation,
+  relistedStatus,
+  getActiveReservation,
+  releaseExpiredReservations,
+  startReservationSweeper,
+};
@@ -0,0 +1,94 @@
+const { eq } = require('drizzle-orm');
+const { db } = require('../db');
+const { accounts, transfers } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+
+// Allowed moves for a transfer
+const TRANSFER_TRANSITIONS = {
+  initiated: ['in_progress', 'completed', 'failed'],
+  in_progress: ['completed', 'failed'],
+  completed: [],
+  failed: [],
+};
+
+// Column stamped when a transfer reaches each status
+const TRANSFER_TIMESTAMPS = {
+  in_progress: 'in_progress_at',
+  completed: 'completed_at',
+  failed: 'failed_at',
+};
+
+async function getTransfer(id) {
+  const result = await db.select().from(transfers).where(eq(transfers.id, id));
+  if (result.length === 0) {
+    throw new HttpError(404, "Transfer not found");
+  }
+  return result[0];
+}
+
+// The transfer for an order, or null if the handover has not started
+async function getOrderTransfer(orderId) {
+  const result = await db.select().from(transfers).where(eq(transfers.order_id, orderId));
+  return result[0] || null;
+}
+
+async function setTransferStatus(tx, transfer, status, failure_reason) {
+  if (!TRANSFER_TRANSITIONS[transfer.status].includes(status)) {
+    throw new HttpError(409, `Cannot move a ${transfer.status} transfer to ${status}`);
+  }
+  const now = new Date();
+  const changes = { status, updated_at: now, [TRANSFER_TIMESTAMPS[status]]: now };
+  if (status === 'failed') {
+    changes.failure_reason = failure_reason || null;
+  }
+  const updated = await tx.update(transfers)
+    .set(changes)
+    .where(eq(transfers.id, transfer.id))
+    .returning();
+  return updated[0];
+}
+
+// Keeps an order's transfer in step with the order. Called from the order's
+// transition, inside its transaction: starting the handover creates the
+// transfer, the seller reporting it done completes it, and an order that is
+// cancelled or fails before then fails it.
+async function syncTransfer(tx, order, status, reason) {
+  if (status === 'in_transfer') {
+    const accountArr = await tx.select().from(accounts).where(eq(accounts.id, order.account_id));
+    await tx.insert(transfers).values({
+      order_id: order.id,
+      seller_id: accountArr[0].owner_id,
+      buyer_id: order.buyer_id,
+    }).onConflictDoNothing();
+    return;
+  }
+
+  const existing = await tx.select().from(transfers).where(eq(transfers.order_id, order.id)).for('update');
+  const transfer = existing[0];
+  if (!transfer || TRANSFER_TRANSITIONS[transfer.status].length === 0) return;
+
+  if (status === 'awaiting_buyer_confirmation' || status === 'completed') {
+    await setTransferStatus(tx, transfer, 'completed');
+  } else if (status === 'cancelled' || status === 'failed') {
+    await setTransferStatus(tx, transfer, 'failed', reason);
+  }
+}
+
+// Seller reports that the handover is under way (credentials sent)
+async function markTransferInProgress(id) {
+  return db.transaction(async (tx) => {
+    const existing = await tx.select().from(transfers).where(eq(transfers.id, id)).for('update');
+    if (existing.length === 0) {
+      throw new HttpError(404, "Transfer not found");
+    }
+    return setTransferStatus(tx, existing[0], 'in_progress');
+  });
+}
+
+module.exports = {
+  TRANSFER_TRANSITIONS,
+  getTransfer,
+  getOrderTransfer,
+  syncTransfer,
+  markTransferInProgress,
+};
@@ -0,0 +1,182 @@
+const { eq, and, ne, gte, desc, sql } = require('drizzle-orm');
+const { db } = require('../db');
+const { users, withdrawals } = require('../db/schema');
+const { HttpError } = require('../utils/errors');
+const { debitForWithdrawal, reverseWithdrawal } = require('./ledger');
+const { getPayoutMethod } = require('./payoutMethods');
+
+// Allowed admin moves for a withdrawal. 'completed' is kept for rows
+// written before payouts were tracked and is treated as final.
+const WITHDRAWAL_TRANSITIONS = {
+  pending: ['processing', 'paid', 'rejected'],
+  processing: ['paid', 'rejected'],
+  paid: [],
+  rejected: [],
+  completed: [],
+};
+
+// Withdrawal limits. The daily maximum covers the last 24 hours and the
+// cooldown is the wait after the previous request; rejected withdrawals count
+// towards neither, and 0 turns either off. WITHDRAWAL_FEE is a flat fee in
+// ETB taken from each withdrawal.
+const WITHDRAWAL_MIN_AMOUNT = parseInt(process.env.WITHDRAWAL_MIN_AMOUNT) || 100;
+const WITHDRAWAL_DAILY_MAX = parseInt(process.env.WITHDRAWAL_DAILY_MAX) || 0;
+const WITHDRAWAL_COOLDOWN_MINUTES = parseInt(process.env.WITHDRAWAL_COOLDOWN_MINUTES) || 0;
+const WITHDRAWAL_FEE = parseInt(process.env.WITHDRAWAL_FEE) || 0;
+
+// What a withdrawal pays out, which decides the balance account it is taken
+// from first (see debitForWithdrawal)
+const WITHDRAWAL_REASONS = ['order_refund', 'seller_payout'];
+
+// Column stamped when a withdrawal reaches each status
+const WITHDRAWAL_TIMESTAMPS = {
+  processing: 'processing_at',
+  paid: 'paid_at',
+  rejected: 'rejected_at',
+};
+
+// Checks a withdrawal of amount to a payout method (the user's default unless
+// payout_method_id is given) against their balance and the withdrawal limits,
+// and returns what it would look like: { amount, fee, net_amount,
+// payout_method_id, account_holder_name, bank_name, account_number }.
+// Pass tx with the user row locked to check inside a transaction.
+async function quoteWithdrawal({ user_id, amount, payout_method_id }, tx = db) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new HttpError(400, "Amount must be a positive whole number");
+  }
+
+  const user = await tx.select().from(users).where(eq(users.id, user_id));
+  if (user.length === 0) {
+    throw new HttpError(404, "User not found");
+  }
+  const { balance } = user[0];
+  const method = await getPayoutMethod(user_id, payout_method_id, tx);
+  if (amount < WITHDRAWAL_MIN_AMOUNT) {
+    throw new HttpError(400, `The minimum withdrawal is ${WITHDRAWAL_MIN_AMOUNT} ETB`, { min_amount: WITHDRAWAL_MIN_AMOUNT });
+  }
+  if (amount <= WITHDRAWAL_FEE) {
+    throw new HttpError(400, `The amount must be more than the ${WITHDRAWAL_FEE} ETB withdrawal fee`);
+  }
+  if (amount > (balance || 0)) {
+    throw new HttpError(409, `Your balance is ${balance || 0} ETB`, { balance: balance || 0 });
+  }
+
+  const counted = and(eq(withdrawals.user_id, user_id), ne(withdrawals.status, 'rejected'));
+  if (WITHDRAWAL_COOLDOWN_MINUTES > 0) {
+    const last = await tx.select({ created_at: withdrawals.created_at }).from(withdrawals)
+      .where(counted)
+      .orderBy(desc(withdrawals.created_at))
+      .limit(1);
+    const nextAt = last.length && last[0].created_at.getTime() + WITHDRAWAL_COOLDOWN_MINUTES * 60 * 1000;
+    if (nextAt && nextAt > Date.now()) {
+      const minutes = Math.ceil((nextAt - Date.now()) / 60000);
+      throw new HttpError(429, `You can make another withdrawal in ${minutes} minute${minutes === 1 ? '' : 's'}`, { retry_after_minutes: minutes });
+    }
+  }
+  if (WITHDRAWAL_DAILY_MAX > 0) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const recent = await tx.select({ total: sql`coalesce(sum(${withdrawals.amount}), 0)`.mapWith(Number) })
+      .from(withdrawals)
+      .where(and(counted, gte(withdrawals.created_at, since)));
+    const left = Math.max(WITHDRAWAL_DAILY_MAX - recent[0].total, 0);
+    if (amount > left) {
+      throw new HttpError(400, `You can withdraw up to ${WITHDRAWAL_DAILY_MAX} ETB a day; ${left} ETB is left for today`, { daily_remaining: left });
+    }
+  }
+
+  return {
+    amount,
+    fee: WITHDRAWAL_FEE,
+    net_amount: amount - WITHDRAWAL_FEE,
+    payout_method_id: method.id,
+    account_holder_name: method.account_holder_name,
+    bank_name: method.bank_name,
+    account_number: method.account_number,
+  };
+}
+
+// Creates a pending withdrawal to one of the user's payout methods and takes
+// the amount off their balance
+async function createWithdrawal({ user_id, amount, reason, payout_method_id }) {
+  if (reason !== undefined && !WITHDRAWAL_REASONS.includes(reason)) {
+    const message = `Reason must be one of ${WITHDRAWAL_REASONS.join(', ')}`;
+    throw new HttpError(400, message, { fields: { reason: message } });
+  }
+
+  return db.transaction(async (tx) => {
+    // Locking the user serialises their requests, so two at once cannot both
+    // pass the limits
+    await tx.select({ id: users.id }).from(users).where(eq(users.id, user_id)).for('update');
+    const quote = await quoteWithdrawal({ user_id, amount, payout_method_id }, tx);
+
+    const withdrawal = await tx.insert(withdrawals).values({
+      user_id,
+      amount,
+      fee_amount: quote.fee,
+      reason,
+      status: 'pending',
+      payout_method_id: quote.payout_method_id,
+      account_holder_name: quote.account_holder_name,
+      bank_name: quote.bank_name,
+      account_number: quote.account_number,
+    }).returning();
+
+    await debitForWithdrawal(tx, withdrawal[0]);
+    return withdrawal[0];
+  });
+}
+
+// Moves a withdrawal to a new status. Paying it needs the payout_reference of
+// the bank transfer; rejecting returns the amount to the user's balance in
+// the same transaction. Returns { withdrawal, user }.
+async function updateWithdrawalStatus(id, status, { payout_reference, reason } = {}, outer = db) {
+  if (status === 'paid' && !payout_reference) {
+    throw new HttpError(400, "A payout reference is required to mark a withdrawal paid");
+  }
+
+  return outer.transaction(async (tx) => {
+    const existing = await tx.select().from(withdrawals).where(eq(withdrawals.id, id)).for('update');
+    if (existing.length === 0) {
+      throw new HttpError(404, "Withdrawal not found");
+    }
+    const withdrawal = existing[0];
+
+    const allowed = WITHDRAWAL_TRANSITIONS[withdrawal.status] || [];
+    if (!allowed.includes(status)) {
+      throw new HttpError(409, `Cannot move a ${withdrawal.status} withdrawal to ${status}`);
+    }
+
+    const now = new Date();
+    const changes = { status, updated_at: now, [WITHDRAWAL_TIMESTAMPS[status]]: now };
+    if (status === 'paid') changes.payout_reference = payout_reference;
+    if (status === 'rejected') changes.rejection_reason = reason || null;
+
+    const updated = await tx.update(withdrawals)
+      .set(changes)
+      .where(eq(withdrawals.id, id))
+      .returning();
+
+    if (status === 'rejected') {
+      await reverseWithdrawal(tx, withdrawal);
+    }
+
+    const userArr = await tx.select().from(users).where(eq(users.id, withdrawal.user_id));
+    return { withdrawal: updated[0], user: userArr[0] };
+  });
+}
+
+// A user's withdrawals, newest first
+async function getUserWithdrawals(userId) {
+  return db.select().from(withdrawals)
+    .where(eq(withdrawals.user_id, userId))
+    .orderBy(desc(withdrawals.created_at));
+}
+
+module.exports = {
+  WITHDRAWAL_TRANSITIONS,
+  WITHDRAWAL_MIN_AMOUNT,
+  quoteWithdrawal,
+  createWithdrawal,
+  getUserWithdrawals,
+  updateWithdrawalStatus,
+};
@@ -0,0 +1,12 @@
+// Error carrying the HTTP status a route should answer with.
+// Services throw it; routes respond with `error.status || 500`.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
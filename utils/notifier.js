@@ -0,0 +1,18 @@
+const { bot } = require('../bot');
+const logger = require('./logger');
+
+// Sends a Telegram message to a user from server-side code. Failures (blocked
+// bot, deleted chat) are logged and reported as false instead of thrown, so a
+// notification never rolls back the operation that triggered it.
+async function notifyUser(telegramUserId, message, extra = {}) {
+  if (!telegramUserId) return false;
+  try {
+    await bot.telegram.sendMessage(telegramUserId, message, extra);
+    return true;
+  } catch (error) {
+    logger.error('Failed to notify user', { telegramUserId, error: error.message });
+    return false;
+  }
+}
+
+module.exports = { notifyUser };
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const { eq } = require('drizzle-orm');
+const { db } = require('../db');
+const { users } = require('../db/schema');
+const logger = require('./logger');
+
+dotenv.config();
+
+// How long a mini app initData payload stays valid after Telegram signed it
+const INIT_DATA_MAX_AGE_SECONDS = parseInt(process.env.INIT_DATA_MAX_AGE_SECONDS) || 24 * 60 * 60;
+
+// Shared secret the bot uses when it calls the REST API on a user's behalf.
+// Falls back to a per-process token, which works as long as the bot and the
+// server run in the same process (the default setup in index.js).
+const INTERNAL_API_TOKEN = process.env.INTERNAL_API_TOKEN || crypto.randomBytes(32).toString('hex');
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Validates Telegram WebApp initData as described in
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+// Returns the parsed payload, or null when the signature or age is invalid.
+function verifyInitData(initData, botToken = process.env.BOT_TOKEN) {
+  if (!initData || !botToken) return null;
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) return null;
+  params.delete('hash');
+
+  const dataCheckString = [...params.entries()]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+  if (!safeEqual(expectedHash, hash)) return null;
+
+  const authDate = parseInt(params.get('auth_date'));
+  if (!authDate || Date.now() / 1000 - authDate > INIT_DATA_MAX_AGE_SECONDS) return null;
+
+  let user = null;
+  try {
+    user = JSON.parse(params.get('user'));
+  } catch (e) {
+    return null;
+  }
+  if (!user || !user.id) return null;
+
+  return { user, authDate, queryId: params.get('query_id') };
+}
+
+// Checks the X-Telegram-Bot-Api-Secret-Token header Telegram sends with every
+// webhook call. Rejects everything when WEBHOOK_SECRET is not configured.
+function verifyWebhookSecret(token, secret = process.env.WEBHOOK_SECRET) {
+  if (!secret || !token) return false;
+  return safeEqual(token, secret);
+}
+
+// Pulls initData from "Authorization: tma <initData>" or the X-Telegram-Init-Data header
+function getInitData(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('tma ')) {
+    return authorization.slice(4);
+  }
+  return req.get('X-Telegram-Init-Data');
+}
+
+async function findUserByTelegramId(telegramUserId) {
+  const result = await db.select().from(users).where(eq(users.telegram_user_id, telegramUserId.toString()));
+  return result[0] || null;
+}
+
+// Resolves the caller of a request. Mini app requests must carry signed
+// initData; the bot authenticates with INTERNAL_API_TOKEN and may name the
+// user it acts for in X-Telegram-User-Id.
+// Sets req.internal, req.telegramUser and req.user (null if not registered yet).
+async function authenticate(req, res, next) {
+  try {
+    const internalToken = req.get('X-Internal-Token');
+    if (internalToken) {
+      if (!safeEqual(internalToken, INTERNAL_API_TOKEN)) {
+        return res.status(401).json({ error: "Invalid internal token" });
+      }
+      req.internal = true;
+      const actingTelegramId = req.get('X-Telegram-User-Id');
+      req.telegramUser = actingTelegramId ? { id: actingTelegramId } : null;
+      req.user = actingTelegramId ? await findUserByTelegramId(actingTelegramId) : null;
+      return next();
+    }
+
+    const initData = getInitData(req);
+    if (!initData) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const verified = verifyInitData(initData);
+    if (!verified) {
+      return res.status(401).json({ error: "Invalid or expired Telegram init data" });
+    }
+
+    req.internal = false;
+    req.telegramUser = verified.user;
+    req.user = await findUserByTelegramId(verified.user.id);
+    next();
+  } catch (error) {
+    logger.error('Error authenticating request', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: "Failed to authenticate request" });
+  }
+}
+
+// Rejects mini app callers that have not registered through the bot yet
+function requireUser(req, res, next) {
+  if (!req.internal && !req.user) {
+    return res.status(403).json({ error: "User is not registered. Please /start the bot first." });
+  }
+  next();
+}
+
+// Only lets through users with the admin role. The bot must name the acting
+// admin in X-Telegram-User-Id; the internal token alone is not enough.
+function requireAdmin(req, res, next) {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+}
+
+// True when the caller may act for the given user id. Callers may only act
+// for themselves, including the bot when it names the user it acts for; only
+// bot calls that name no user act as the system and may act for anyone.
+function canActAs(req, userId) {
+  if (req.internal && !req.telegramUser) return true;
+  return Boolean(req.user && userId && req.user.id === userId);
+}
+
+module.exports = {
+  INTERNAL_API_TOKEN,
+  verifyInitData,
+  verifyWebhookSecret,
+  authenticate,
+  requireUser,
+  requireAdmin,
+  canActAs,
+};